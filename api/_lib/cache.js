@@ -0,0 +1,119 @@
+// Response cache for the serverless routes
+//
+// A cache store is any object with async get(key), set(key, value, ttlSeconds)
+// and delete(key). The in-memory store lives as long as the function instance
+// stays warm; set CACHE_STORE=file to share entries between instances on the
+// same machine, or call setCacheStore() with a KV-backed store.
+
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+// Time to live in seconds
+export const ACCOUNT_CACHE_TTL = parseInt(process.env.ACCOUNT_CACHE_TTL) || 7 * 24 * 60 * 60;
+export const LEAGUE_CACHE_TTL = parseInt(process.env.LEAGUE_CACHE_TTL) || 60;
+export const LIVE_CACHE_TTL = parseInt(process.env.LIVE_CACHE_TTL) || 30;
+// Finished matches never change
+export const MATCH_CACHE_TTL = parseInt(process.env.MATCH_CACHE_TTL) || 7 * 24 * 60 * 60;
+export const HEALTH_CACHE_TTL = 5 * 60;
+export const CHAMPION_CACHE_TTL = 24 * 60 * 60;
+
+export class MemoryCacheStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    
+    if (!entry) return null;
+    
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    
+    return entry;
+  }
+
+  async set(key, value, ttlSeconds) {
+    const entry = { value, storedAt: Date.now(), expiresAt: Date.now() + ttlSeconds * 1000 };
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+export class FileCacheStore {
+  constructor(directory = path.join(tmpdir(), 'lol-tracker-cache')) {
+    this.directory = directory;
+  }
+
+  filePath(key) {
+    return path.join(this.directory, `${createHash('sha1').update(key).digest('hex')}.json`);
+  }
+
+  async get(key) {
+    try {
+      const entry = JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+      
+      if (entry.expiresAt <= Date.now()) {
+        await this.delete(key);
+        return null;
+      }
+      
+      return entry;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async set(key, value, ttlSeconds) {
+    const entry = { value, storedAt: Date.now(), expiresAt: Date.now() + ttlSeconds * 1000 };
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(this.filePath(key), JSON.stringify(entry));
+    return entry;
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.filePath(key));
+    } catch (error) {
+      // Already gone
+    }
+  }
+}
+
+let cacheStore = process.env.CACHE_STORE === 'file' ? new FileCacheStore() : new MemoryCacheStore();
+
+export function getCacheStore() {
+  return cacheStore;
+}
+
+// Swap the cache backend (e.g. for a KV store with the same interface)
+export function setCacheStore(store) {
+  cacheStore = store;
+}
+
+// Return the cached entry for a key, or run the fetcher and cache its value.
+// With fresh set the cached entry is ignored and replaced.
+export async function cached(key, ttlSeconds, fetcher, { fresh = false } = {}) {
+  if (!fresh) {
+    const entry = await cacheStore.get(key);
+    if (entry) {
+      return entry;
+    }
+  }
+
+  const value = await fetcher();
+  return cacheStore.set(key, value, ttlSeconds);
+}
+
+// Build a weak ETag for a JSON payload
+export function createEtag(payload) {
+  return `W/"${createHash('sha1').update(JSON.stringify(payload)).digest('hex')}"`;
+}
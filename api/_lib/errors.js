@@ -0,0 +1,91 @@
+// Structured errors for the serverless routes
+//
+// Every error response has the shape { code, message, upstreamStatus, retryable }
+// with an HTTP status matching the code, so the frontend can tell an unknown
+// Riot ID from an expired key from Riot being down.
+
+export const ErrorCodes = {
+  BAD_REQUEST: 'BAD_REQUEST',
+  METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+  API_KEY_MISSING: 'API_KEY_MISSING',
+  INVALID_API_KEY: 'INVALID_API_KEY',
+  UNKNOWN_ACCOUNT: 'UNKNOWN_ACCOUNT',
+  NOT_FOUND: 'NOT_FOUND',
+  RATE_LIMITED: 'RATE_LIMITED',
+  SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE',
+  UPSTREAM_ERROR: 'UPSTREAM_ERROR',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+export class ApiError extends Error {
+  constructor(code, message, { status = 500, upstreamStatus = null, retryable = false, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.upstreamStatus = upstreamStatus;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      upstreamStatus: this.upstreamStatus,
+      retryable: this.retryable
+    };
+  }
+}
+
+// Map a failed Riot response to an ApiError; resource names what was looked up
+export function upstreamError(response, resource) {
+  const upstreamStatus = response.status;
+  
+  switch (upstreamStatus) {
+    case 400:
+      return new ApiError(ErrorCodes.BAD_REQUEST, `Invalid ${resource} request`, { status: 400, upstreamStatus });
+    case 401:
+    case 403:
+      return new ApiError(ErrorCodes.INVALID_API_KEY, 'Riot API key is invalid or expired', { status: 403, upstreamStatus });
+    case 404:
+      return resource === 'account' ?
+        new ApiError(ErrorCodes.UNKNOWN_ACCOUNT, 'Riot ID does not exist', { status: 404, upstreamStatus }) :
+        new ApiError(ErrorCodes.NOT_FOUND, `${resource} not found`, { status: 404, upstreamStatus });
+    case 429:
+      return new ApiError(ErrorCodes.RATE_LIMITED, 'Rate limited by Riot API', {
+        status: 429,
+        upstreamStatus,
+        retryable: true,
+        retryAfter: parseInt(response.headers.get('Retry-After')) || null
+      });
+    case 503:
+      return new ApiError(ErrorCodes.SERVICE_UNAVAILABLE, 'Riot API is unavailable (maintenance)', { status: 503, upstreamStatus, retryable: true });
+    default:
+      return new ApiError(ErrorCodes.UPSTREAM_ERROR, `Riot API error while fetching ${resource}`, {
+        status: 502,
+        upstreamStatus,
+        retryable: upstreamStatus >= 500
+      });
+  }
+}
+
+// Wrap anything thrown into an ApiError
+export function toApiError(error) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  // A server bug fails the same way on a retry
+  return new ApiError(ErrorCodes.INTERNAL_ERROR, error.message || 'Internal server error', { status: 500, retryable: false });
+}
+
+// Send an error response in the structured format
+export function sendError(res, error) {
+  const apiError = toApiError(error);
+  
+  if (apiError.retryAfter) {
+    res.setHeader('Retry-After', apiError.retryAfter);
+  }
+
+  return res.status(apiError.status).json(apiError.toJSON());
+}
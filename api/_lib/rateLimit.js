@@ -0,0 +1,188 @@
+// Rate limiting driven by Riot's response headers
+//
+// Riot reports limits as "count:seconds" pairs, e.g.
+//   X-App-Rate-Limit: 20:1,100:120
+//   X-App-Rate-Limit-Count: 3:1,41:120
+// Limits are tracked per host (app limits apply per routing value) and per
+// host + endpoint (method limits).
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { ApiError, ErrorCodes } from './errors.js';
+
+// Headers forwarded to the browser so the client can pace itself too
+export const RATE_LIMIT_HEADERS = [
+  'X-App-Rate-Limit',
+  'X-App-Rate-Limit-Count',
+  'X-Method-Rate-Limit',
+  'X-Method-Rate-Limit-Count',
+  'Retry-After'
+];
+
+// Retries for 429 responses, and the longest Retry-After worth waiting for
+// inside a single serverless invocation
+export const MAX_RETRIES = 3;
+export const MAX_RETRY_WAIT_MS = 10000;
+
+export class RateLimitError extends ApiError {
+  constructor(retryAfter) {
+    super(ErrorCodes.RATE_LIMITED, 'Rate limited by Riot API', {
+      status: 429,
+      upstreamStatus: 429,
+      retryable: true,
+      retryAfter
+    });
+    this.name = 'RateLimitError';
+  }
+}
+
+// Parse "20:1,100:120" into [{ limit: 20, window: 1 }, ...]
+export function parseRateLimitHeader(value) {
+  if (!value) return [];
+  
+  return value.split(',').map(pair => {
+    const [limit, window] = pair.split(':').map(Number);
+    return { limit, window };
+  }).filter(({ limit, window }) => limit > 0 && window > 0);
+}
+
+export class RateLimiter {
+  constructor() {
+    // window seconds => { limit, count, resetAt }
+    this.buckets = new Map();
+    this.blockedUntil = 0;
+  }
+
+  // Adopt limits and counts reported by Riot
+  update(limitHeader, countHeader) {
+    const limits = parseRateLimitHeader(limitHeader);
+    const counts = parseRateLimitHeader(countHeader);
+    const now = Date.now();
+    
+    limits.forEach(({ limit, window }) => {
+      const bucket = this.buckets.get(window) || { count: 0, resetAt: now + window * 1000 };
+      const reported = counts.find(count => count.window === window);
+      
+      bucket.limit = limit;
+      if (reported) {
+        bucket.count = reported.limit;
+      }
+      
+      this.buckets.set(window, bucket);
+    });
+  }
+
+  // Stop all requests for a while (after a 429)
+  block(seconds) {
+    this.blockedUntil = Math.max(this.blockedUntil, Date.now() + seconds * 1000);
+  }
+
+  // Milliseconds to wait before the next request is allowed
+  getWaitTime() {
+    const now = Date.now();
+    let wait = Math.max(0, this.blockedUntil - now);
+    
+    this.buckets.forEach((bucket, window) => {
+      if (bucket.resetAt <= now) {
+        bucket.count = 0;
+        bucket.resetAt = now + window * 1000;
+      } else if (bucket.count >= bucket.limit) {
+        wait = Math.max(wait, bucket.resetAt - now);
+      }
+    });
+    
+    return wait;
+  }
+
+  // Count a request against every window
+  record() {
+    this.buckets.forEach(bucket => {
+      bucket.count++;
+    });
+  }
+}
+
+const limiters = new Map();
+
+// Rate limit headers of the latest Riot response per proxy request, so
+// concurrent invocations of one instance never forward each other's counts
+const requestHeaders = new AsyncLocalStorage();
+
+function getLimiter(key) {
+  if (!limiters.has(key)) {
+    limiters.set(key, new RateLimiter());
+  }
+  return limiters.get(key);
+}
+
+// Endpoint key for method limits: host plus the static part of the path
+function getMethodKey(url) {
+  const { host, pathname } = new URL(url);
+  return `${host}${pathname.split('/').slice(0, 5).join('/')}`;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Fetch with app/method pacing and 429 retries (Retry-After or exponential backoff)
+export async function rateLimitedFetch(url, options = {}) {
+  const appLimiter = getLimiter(new URL(url).host);
+  const methodLimiter = getLimiter(getMethodKey(url));
+  
+  for (let attempt = 0; ; attempt++) {
+    const wait = Math.max(appLimiter.getWaitTime(), methodLimiter.getWaitTime());
+    
+    if (wait > MAX_RETRY_WAIT_MS) {
+      throw new RateLimitError(Math.ceil(wait / 1000));
+    }
+    if (wait > 0) {
+      await sleep(wait);
+    }
+    
+    appLimiter.record();
+    methodLimiter.record();
+    
+    const response = await fetch(url, options);
+    
+    appLimiter.update(response.headers.get('X-App-Rate-Limit'), response.headers.get('X-App-Rate-Limit-Count'));
+    methodLimiter.update(response.headers.get('X-Method-Rate-Limit'), response.headers.get('X-Method-Rate-Limit-Count'));
+    
+    const tracked = requestHeaders.getStore();
+    if (tracked) {
+      tracked.headers = {};
+      RATE_LIMIT_HEADERS.forEach(header => {
+        const value = response.headers.get(header);
+        if (value) {
+          tracked.headers[header] = value;
+        }
+      });
+    }
+    
+    if (response.status !== 429) {
+      return response;
+    }
+    
+    const retryAfter = parseInt(response.headers.get('Retry-After')) || Math.pow(2, attempt);
+    (response.headers.get('X-Rate-Limit-Type') === 'method' ? methodLimiter : appLimiter).block(retryAfter);
+    
+    if (attempt >= MAX_RETRIES || retryAfter * 1000 > MAX_RETRY_WAIT_MS) {
+      throw new RateLimitError(retryAfter);
+    }
+  }
+}
+
+// Wrap a route handler so the Riot rate limit headers it sees are tracked
+// for forwardRateLimitHeaders()
+export function trackRateLimits(handler) {
+  return (req, res) => requestHeaders.run({ headers: {} }, () => handler(req, res));
+}
+
+// Copy the request's most recent Riot rate limit headers onto its response
+export function forwardRateLimitHeaders(res) {
+  const tracked = requestHeaders.getStore();
+  
+  Object.entries(tracked ? tracked.headers : {}).forEach(([header, value]) => {
+    res.setHeader(header, value);
+  });
+  res.setHeader('Access-Control-Expose-Headers', ['ETag', ...RATE_LIMIT_HEADERS].join(', '));
+}
@@ -0,0 +1,219 @@
+// Shared Riot API helpers for the serverless routes
+
+import { ACCOUNT_CACHE_TTL, CHAMPION_CACHE_TTL, LEAGUE_CACHE_TTL, LIVE_CACHE_TTL, cached } from './cache.js';
+import { ApiError, ErrorCodes, upstreamError } from './errors.js';
+import { rateLimitedFetch } from './rateLimit.js';
+
+// Regional routing for account-v1 (and most regional APIs)
+export const regionalRouting = {
+  'na1': 'americas',
+  'br1': 'americas',
+  'la1': 'americas',
+  'la2': 'americas',
+  'euw1': 'europe',
+  'eun1': 'europe',
+  'tr1': 'europe',
+  'ru': 'europe',
+  'kr': 'asia',
+  'jp1': 'asia',
+  'oc1': 'asia'
+};
+
+// match-v5 serves Oceania from the SEA cluster
+export const matchRegionalRouting = {
+  ...regionalRouting,
+  'oc1': 'sea'
+};
+
+export function getRegionalEndpoint(region, routing = regionalRouting) {
+  return routing[region] || 'americas';
+}
+
+// Fetch a Riot API URL with the server-side key, paced by Riot's rate limits
+export async function riotFetch(url, apiKey) {
+  return rateLimitedFetch(url, {
+    headers: {
+      'X-Riot-Token': apiKey
+    }
+  });
+}
+
+// Resolve a Riot ID (Name#TAG) to an account with its PUUID
+export async function getAccountByRiotId(riotId, region, apiKey) {
+  const [gameName, tagLine] = riotId.split('#');
+  
+  if (!gameName || !tagLine) {
+    throw new ApiError(ErrorCodes.BAD_REQUEST, 'Riot ID must be in the format Name#TAG', { status: 400 });
+  }
+  
+  const regionalEndpoint = getRegionalEndpoint(region);
+  
+  const accountResponse = await riotFetch(
+    `https://${regionalEndpoint}.api.riotgames.com/riot/account/v1/accounts/by-riot-id/${encodeURIComponent(gameName)}/${encodeURIComponent(tagLine)}`,
+    apiKey
+  );
+  
+  if (!accountResponse.ok) {
+    throw upstreamError(accountResponse, 'account');
+  }
+  
+  return accountResponse.json();
+}
+
+// Account lookup through the long-lived account cache
+export async function getCachedAccount(riotId, region, apiKey, { fresh = false } = {}) {
+  const account = await cached(
+    `account:${getRegionalEndpoint(region)}:${riotId.toLowerCase()}`,
+    ACCOUNT_CACHE_TTL,
+    () => getAccountByRiotId(riotId, region, apiKey),
+    { fresh }
+  );
+  
+  return account.value;
+}
+
+// Look up a player's summoner info and every ranked queue entry.
+// Account lookups are cached long-term, summoner and league data briefly;
+// fresh skips the cache for all three.
+export async function lookupPlayer(riotId, region, apiKey, { fresh = false } = {}) {
+  // Step 1: Get account by Riot ID
+  const accountData = await getCachedAccount(riotId, region, apiKey, { fresh });
+  
+  // Step 2: Get summoner by PUUID
+  const summoner = await cached(`summoner:${region}:${accountData.puuid}`, LEAGUE_CACHE_TTL, async () => {
+    const summonerResponse = await riotFetch(
+      `https://${region}.api.riotgames.com/lol/summoner/v4/summoners/by-puuid/${accountData.puuid}`,
+      apiKey
+    );
+    
+    if (!summonerResponse.ok) {
+      throw upstreamError(summonerResponse, 'summoner');
+    }
+    
+    return summonerResponse.json();
+  }, { fresh });
+  const summonerData = summoner.value;
+  
+  // Step 3: Get league entries
+  const league = await cached(`league:${region}:${summonerData.id}`, LEAGUE_CACHE_TTL, async () => {
+    const leagueResponse = await riotFetch(
+      `https://${region}.api.riotgames.com/lol/league/v4/entries/by-summoner/${summonerData.id}`,
+      apiKey
+    );
+    
+    if (!leagueResponse.ok) {
+      throw upstreamError(leagueResponse, 'league data');
+    }
+    
+    return leagueResponse.json();
+  }, { fresh });
+  const leagueEntries = league.value;
+  
+  // Keep every ranked queue the player has an entry in (Solo/Duo, Flex, ...)
+  const queues = leagueEntries.map(entry => ({
+    queueType: entry.queueType,
+    tier: entry.tier,
+    rank: entry.rank,
+    leaguePoints: entry.leaguePoints,
+    wins: entry.wins,
+    losses: entry.losses,
+    veteran: entry.veteran,
+    inactive: entry.inactive,
+    freshBlood: entry.freshBlood,
+    hotStreak: entry.hotStreak
+  }));
+  
+  // Return formatted data, stamped with when the league data was fetched
+  return {
+    puuid: accountData.puuid,
+    summonerId: summonerData.id,
+    summonerName: summonerData.name,
+    summonerLevel: summonerData.summonerLevel,
+    queues,
+    lastUpdated: new Date(league.storedAt).toISOString()
+  };
+}
+
+// Champion ID => name for the latest patch, from Data Dragon
+export async function getChampionNames() {
+  const champions = await cached('champions', CHAMPION_CACHE_TTL, async () => {
+    const versionsResponse = await fetch('https://ddragon.leagueoflegends.com/api/versions.json');
+    
+    if (!versionsResponse.ok) {
+      throw new Error(`Data Dragon versions unavailable: ${versionsResponse.status}`);
+    }
+    
+    const [version] = await versionsResponse.json();
+    const championResponse = await fetch(`https://ddragon.leagueoflegends.com/cdn/${version}/data/en_US/champion.json`);
+    
+    if (!championResponse.ok) {
+      throw new Error(`Data Dragon champions unavailable: ${championResponse.status}`);
+    }
+    
+    const { data } = await championResponse.json();
+    return Object.fromEntries(Object.values(data).map(champion => [champion.key, champion.name]));
+  });
+  
+  return champions.value;
+}
+
+// Look up the game a player is in right now with spectator-v5, or null when
+// they are not in one. Results are cached briefly; fresh skips the cache.
+export async function getLiveGame(puuid, region, apiKey, { fresh = false } = {}) {
+  const live = await cached(`live:${region}:${puuid}`, LIVE_CACHE_TTL, async () => {
+    const response = await riotFetch(
+      `https://${region}.api.riotgames.com/lol/spectator/v5/active-games/by-summoner/${puuid}`,
+      apiKey
+    );
+    
+    // Spectator answers 404 when the player is not in a game
+    if (response.status === 404) {
+      return null;
+    }
+    
+    if (!response.ok) {
+      throw upstreamError(response, 'live game');
+    }
+    
+    const game = await response.json();
+    const participant = game.participants.find(p => p.puuid === puuid) || {};
+    
+    let champion = null;
+    try {
+      champion = (await getChampionNames())[participant.championId] || null;
+    } catch (error) {
+      // Data Dragon is down, the client falls back to the champion ID
+    }
+    
+    return {
+      gameId: game.gameId,
+      queueId: game.gameQueueConfigId,
+      gameMode: game.gameMode,
+      championId: participant.championId,
+      champion,
+      // 0 while players are still in the loading screen
+      gameStartTime: game.gameStartTime,
+      gameLength: game.gameLength
+    };
+  }, { fresh });
+  
+  return live.value;
+}
+
+// Run an async function over items with at most `limit` calls in flight
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  
+  return results;
+}
@@ -0,0 +1,70 @@
+import { ApiError, ErrorCodes, sendError } from './_lib/errors.js';
+import { HEALTH_CACHE_TTL, cached } from './_lib/cache.js';
+import { riotFetch } from './_lib/riot.js';
+
+// lol-status-v4 needs a valid key but no player data, so it makes a cheap probe
+const PROBE_URL = 'https://euw1.api.riotgames.com/lol/status/v4/platform-data';
+
+// Riot answers 401 for a malformed key and 403 for an expired or revoked one
+function getKeyStatus(status) {
+  if (status >= 200 && status < 300) return 'valid';
+  if (status === 401) return 'invalid';
+  if (status === 403) return 'expired';
+  return 'unavailable';
+}
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Cache-Control', 'no-store');
+  
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+  
+  if (req.method !== 'GET') {
+    return sendError(res, new ApiError(ErrorCodes.METHOD_NOT_ALLOWED, 'Method not allowed', { status: 405 }));
+  }
+  
+  const fresh = req.query.fresh === '1' || req.query.fresh === 'true';
+  const API_KEY = process.env.RIOT_API_KEY;
+  
+  if (!API_KEY) {
+    return res.status(200).json({
+      keyConfigured: false,
+      keyStatus: 'missing',
+      upstreamStatus: null,
+      checkedAt: new Date().toISOString()
+    });
+  }
+  
+  try {
+    const health = await cached('health', HEALTH_CACHE_TTL, async () => {
+      const response = await riotFetch(PROBE_URL, API_KEY);
+      return { keyStatus: getKeyStatus(response.status), upstreamStatus: response.status };
+    }, { fresh });
+    
+    res.status(200).json({
+      keyConfigured: true,
+      ...health.value,
+      checkedAt: new Date(health.storedAt).toISOString()
+    });
+    
+  } catch (error) {
+    // Being rate limited still proves the key is accepted
+    if (error.code === ErrorCodes.RATE_LIMITED) {
+      return res.status(200).json({
+        keyConfigured: true,
+        keyStatus: 'valid',
+        upstreamStatus: 429,
+        checkedAt: new Date().toISOString()
+      });
+    }
+    
+    console.error('API Error:', error);
+    sendError(res, error);
+  }
+}
@@ -0,0 +1,58 @@
+import { ApiError, ErrorCodes, sendError } from './_lib/errors.js';
+import { forwardRateLimitHeaders, trackRateLimits } from './_lib/rateLimit.js';
+import { getCachedAccount, getLiveGame } from './_lib/riot.js';
+
+async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+  
+  if (req.method !== 'GET') {
+    return sendError(res, new ApiError(ErrorCodes.METHOD_NOT_ALLOWED, 'Method not allowed', { status: 405 }));
+  }
+  
+  const { riotId, region } = req.query;
+  const fresh = req.query.fresh === '1' || req.query.fresh === 'true';
+  const API_KEY = process.env.RIOT_API_KEY;
+  
+  if (!API_KEY) {
+    return sendError(res, new ApiError(ErrorCodes.API_KEY_MISSING, 'API key not configured', { status: 500 }));
+  }
+  
+  // Players that were updated before have a PUUID, which saves the account lookup
+  if ((!riotId && !req.query.puuid) || !region) {
+    return sendError(res, new ApiError(ErrorCodes.BAD_REQUEST, 'Missing riotId (or puuid) or region', { status: 400 }));
+  }
+  
+  try {
+    let puuid = req.query.puuid;
+    
+    if (!puuid) {
+      puuid = (await getCachedAccount(riotId, region, API_KEY)).puuid;
+    }
+    
+    const game = await getLiveGame(puuid, region, API_KEY, { fresh });
+    
+    forwardRateLimitHeaders(res);
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).json({
+      puuid,
+      inGame: !!game,
+      game,
+      lastUpdated: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('API Error:', error);
+    forwardRateLimitHeaders(res);
+    sendError(res, error);
+  }
+}
+
+export default trackRateLimits(handler);
@@ -0,0 +1,121 @@
+import { MATCH_CACHE_TTL, cached } from './_lib/cache.js';
+import { ApiError, ErrorCodes, sendError, upstreamError } from './_lib/errors.js';
+import { forwardRateLimitHeaders, trackRateLimits } from './_lib/rateLimit.js';
+import { getCachedAccount, getRegionalEndpoint, mapWithConcurrency, matchRegionalRouting, riotFetch } from './_lib/riot.js';
+
+// Match detail lookups in flight at once
+const CONCURRENCY = parseInt(process.env.MATCH_CONCURRENCY) || 3;
+
+// Summarize one match-v5 match from the point of view of a player
+function summarizeMatch(match, puuid) {
+  const participant = match.info.participants.find(p => p.puuid === puuid);
+  
+  if (!participant) {
+    return null;
+  }
+  
+  // gameDuration is in seconds when gameEndTimestamp is present, milliseconds before patch 11.20
+  const duration = match.info.gameEndTimestamp ?
+    match.info.gameDuration :
+    Math.round(match.info.gameDuration / 1000);
+  
+  return {
+    matchId: match.metadata.matchId,
+    queueId: match.info.queueId,
+    champion: participant.championName,
+    role: participant.teamPosition || participant.individualPosition || '',
+    kills: participant.kills,
+    deaths: participant.deaths,
+    assists: participant.assists,
+    cs: participant.totalMinionsKilled + participant.neutralMinionsKilled,
+    pentaKills: participant.pentaKills || 0,
+    win: participant.win,
+    duration,
+    playedAt: new Date(match.info.gameEndTimestamp || match.info.gameCreation).toISOString()
+  };
+}
+
+async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+  
+  if (req.method !== 'GET') {
+    return sendError(res, new ApiError(ErrorCodes.METHOD_NOT_ALLOWED, 'Method not allowed', { status: 405 }));
+  }
+  
+  const { riotId, region, queue } = req.query;
+  const count = Math.max(1, Math.min(20, parseInt(req.query.count) || 5));
+  // Epoch seconds, only matches played after it (incremental syncs)
+  const startTime = parseInt(req.query.startTime) || null;
+  // Comma separated match IDs the client already has, their details are not fetched
+  const knownIds = new Set((req.query.known || '').split(',').filter(Boolean));
+  const API_KEY = process.env.RIOT_API_KEY;
+  
+  if (!API_KEY) {
+    return sendError(res, new ApiError(ErrorCodes.API_KEY_MISSING, 'API key not configured', { status: 500 }));
+  }
+  
+  if (!riotId || !region) {
+    return sendError(res, new ApiError(ErrorCodes.BAD_REQUEST, 'Missing riotId or region', { status: 400 }));
+  }
+  
+  try {
+    // Step 1: Get account by Riot ID (cached, like /api/player)
+    const accountData = await getCachedAccount(riotId, region, API_KEY);
+    
+    // Step 2: Get the most recent match IDs
+    const matchEndpoint = getRegionalEndpoint(region, matchRegionalRouting);
+    const queueFilter = queue ? `&queue=${encodeURIComponent(queue)}` : '';
+    const startTimeFilter = startTime ? `&startTime=${startTime}` : '';
+    
+    const idsResponse = await riotFetch(
+      `https://${matchEndpoint}.api.riotgames.com/lol/match/v5/matches/by-puuid/${accountData.puuid}/ids?start=0&count=${count}${queueFilter}${startTimeFilter}`,
+      API_KEY
+    );
+    
+    if (!idsResponse.ok) {
+      throw upstreamError(idsResponse, 'match history');
+    }
+    
+    const matchIds = (await idsResponse.json()).filter(matchId => !knownIds.has(matchId));
+    
+    // Step 3: Get details of the unknown matches, cached since they never change
+    const matches = await mapWithConcurrency(matchIds, CONCURRENCY, async (matchId) => {
+      const summary = await cached(`match:${matchId}:${accountData.puuid}`, MATCH_CACHE_TTL, async () => {
+        const matchResponse = await riotFetch(
+          `https://${matchEndpoint}.api.riotgames.com/lol/match/v5/matches/${matchId}`,
+          API_KEY
+        );
+        
+        if (!matchResponse.ok) {
+          throw upstreamError(matchResponse, `match ${matchId}`);
+        }
+        
+        return summarizeMatch(await matchResponse.json(), accountData.puuid);
+      });
+      
+      return summary.value;
+    });
+    
+    forwardRateLimitHeaders(res);
+    res.status(200).json({
+      puuid: accountData.puuid,
+      matches: matches.filter(Boolean),
+      lastUpdated: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('API Error:', error);
+    forwardRateLimitHeaders(res);
+    sendError(res, error);
+  }
+}
+
+export default trackRateLimits(handler);
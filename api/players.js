@@ -0,0 +1,82 @@
+import { ApiError, ErrorCodes, sendError, toApiError } from './_lib/errors.js';
+import { forwardRateLimitHeaders, trackRateLimits } from './_lib/rateLimit.js';
+import { lookupPlayer, mapWithConcurrency } from './_lib/riot.js';
+
+// Maximum players per batch and Riot lookups in flight at once
+const MAX_BATCH_SIZE = 50;
+const CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 3;
+
+async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+  
+  if (req.method !== 'POST') {
+    return sendError(res, new ApiError(ErrorCodes.METHOD_NOT_ALLOWED, 'Method not allowed', { status: 405 }));
+  }
+  
+  const API_KEY = process.env.RIOT_API_KEY;
+  
+  if (!API_KEY) {
+    return sendError(res, new ApiError(ErrorCodes.API_KEY_MISSING, 'API key not configured', { status: 500 }));
+  }
+  
+  let body;
+  try {
+    body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+  } catch (error) {
+    return sendError(res, new ApiError(ErrorCodes.BAD_REQUEST, 'Invalid JSON body', { status: 400 }));
+  }
+  
+  const players = body.players;
+  const fresh = !!body.fresh;
+  
+  if (!Array.isArray(players) || players.length === 0) {
+    return sendError(res, new ApiError(ErrorCodes.BAD_REQUEST, 'Missing players list', { status: 400 }));
+  }
+  
+  if (players.length > MAX_BATCH_SIZE) {
+    return sendError(res, new ApiError(ErrorCodes.BAD_REQUEST, `Too many players (max ${MAX_BATCH_SIZE})`, { status: 400 }));
+  }
+  
+  // Resolve every player, a failure only affects its own entry
+  const results = await mapWithConcurrency(players, CONCURRENCY, async (entry) => {
+    const { riotId, region } = entry || {};
+    
+    if (!riotId || !region) {
+      return { riotId, region, ok: false, error: new ApiError(ErrorCodes.BAD_REQUEST, 'Missing riotId or region', { status: 400 }).toJSON() };
+    }
+    
+    try {
+      const data = await lookupPlayer(riotId, region, API_KEY, { fresh });
+      return { riotId, region, ok: true, data };
+    } catch (error) {
+      console.error(`API Error for ${riotId}:`, error);
+      
+      // Errors use the same shape as single lookups; rate limited players
+      // can be retried by the client after retryAfter seconds
+      const apiError = toApiError(error);
+      const result = { riotId, region, ok: false, error: apiError.toJSON() };
+      
+      if (apiError.retryAfter) {
+        result.retryAfter = apiError.retryAfter;
+      }
+      
+      return result;
+    }
+  });
+  
+  forwardRateLimitHeaders(res);
+  res.status(200).json({
+    results,
+    lastUpdated: new Date().toISOString()
+  });
+}
+
+export default trackRateLimits(handler);
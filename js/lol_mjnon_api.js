@@ -1,37 +1,41 @@
 // API utilities for Riot Games API integration
+// All Riot traffic goes through the serverless proxy in /api, which holds the
+// API key (RIOT_API_KEY); the browser never sees it.
 
 /**
  * API Configuration
  */
 const ApiConfig = {
-  // Base URLs for different API regions
-  baseUrls: {
-    americas: 'https://americas.api.riotgames.com',
-    asia: 'https://asia.api.riotgames.com',
-    europe: 'https://europe.api.riotgames.com'
-  },
+  // How often live game badges refresh while the page is visible (ms)
+  liveRefreshInterval: 60000,
+
+  // Live game lookups in flight at once during a refresh
+  liveConcurrency: 3,
+
+  // Maximum players per /api/players batch request
+  batchSize: 50,
 
-  // Regional routing
-  regionalRouting: {
-    'na1': 'americas',
-    'br1': 'americas',
-    'la1': 'americas',
-    'la2': 'americas',
-    'euw1': 'europe',
-    'eun1': 'europe',
-    'tr1': 'europe',
-    'ru': 'europe',
-    'kr': 'asia',
-    'jp1': 'asia',
-    'oc1': 'asia'
+  // Retries for retryable errors (rate limits, maintenance), backoff doubles
+  // from baseDelay when the response has no Retry-After header
+  retry: {
+    maxRetries: 3,
+    baseDelay: 1000
   },
 
-  // API endpoints
-  endpoints: {
-    account: '/riot/account/v1/accounts/by-riot-id/{gameName}/{tagLine}',
-    summoner: '/lol/summoner/v4/summoners/by-puuid/{puuid}',
-    league: '/lol/league/v4/entries/by-summoner/{summonerId}',
-    spectator: '/lol/spectator/v4/active-games/by-summoner/{summonerId}'
+  // User-facing messages for the error codes returned by the /api routes
+  // ({ code, message, upstreamStatus, retryable }), and the retry decision
+  // when a response doesn't carry one
+  errors: {
+    BAD_REQUEST: { message: 'Invalid request - check the Riot ID (Name#TAG) and region', retryable: false },
+    METHOD_NOT_ALLOWED: { message: 'Request method not supported by the server', retryable: false },
+    API_KEY_MISSING: { message: 'The server has no Riot API key configured', retryable: false },
+    INVALID_API_KEY: { message: 'The Riot API key is invalid or expired', retryable: false },
+    UNKNOWN_ACCOUNT: { message: 'Riot ID not found - check the name, tag and region', retryable: false },
+    NOT_FOUND: { message: 'No League of Legends data found for this player', retryable: false },
+    RATE_LIMITED: { message: 'Riot API rate limit reached - try again in a moment', retryable: true },
+    SERVICE_UNAVAILABLE: { message: 'Riot API is down for maintenance - try again later', retryable: true },
+    UPSTREAM_ERROR: { message: 'Riot API error - try again later', retryable: true },
+    INTERNAL_ERROR: { message: 'Server error - try again later', retryable: false }
   },
 
   // Rate limiting
@@ -48,33 +52,133 @@ const ApiConfig = {
 };
 
 /**
- * API Client
+ * Error with a stable code from ApiConfig.errors. retryable is the server's
+ * decision when given, else the one of the code.
  */
-class RiotApiClient {
-  constructor(apiKey = null) {
-    this.apiKey = apiKey || Storage.load('riot_api_key');
-    this.requestQueue = [];
-    this.isProcessing = false;
-    this.lastRequestTime = 0;
-    this.requestsThisSecond = 0;
-    this.requestsThisMinute = 0;
-    this.minuteResetTime = Date.now() + 60000;
+class ApiRequestError extends Error {
+  constructor(code, message, { status = null, upstreamStatus = null, retryable, retryAfter = null } = {}) {
+    const known = ApiConfig.errors[code];
+    super(message || (known ? known.message : `API request failed (${code})`));
+    this.name = 'ApiRequestError';
+    this.code = code;
+    this.status = status;
+    this.upstreamStatus = upstreamStatus;
+    this.retryable = typeof retryable === 'boolean' ? retryable : Boolean(known && known.retryable);
+    this.retryAfter = retryAfter;
+  }
+
+  // Build from a { code, message, upstreamStatus, retryable } payload, using
+  // the client's own message for known codes
+  static fromPayload(payload, { status = null, retryAfter = null } = {}) {
+    const code = (payload && payload.code) || 'INTERNAL_ERROR';
+    const known = ApiConfig.errors[code];
+    
+    return new ApiRequestError(code, known ? known.message : payload && payload.message, {
+      status,
+      upstreamStatus: payload ? payload.upstreamStatus : null,
+      retryable: payload && payload.retryable,
+      retryAfter
+    });
+  }
+}
+
+/**
+ * Rate limiter that adapts to X-App-Rate-Limit / X-Method-Rate-Limit headers
+ */
+class RateLimiter {
+  constructor(defaultLimits) {
+    // "scope:window" => { limit, count, window, resetAt }
+    this.buckets = new Map();
+    this.blockedUntil = 0;
+    
+    this.setLimit('app', 1, defaultLimits.perSecond);
+    this.setLimit('app', 60, defaultLimits.perMinute);
+  }
+
+  // Parse "20:1,100:120" into [{ value: 20, window: 1 }, ...]
+  static parseHeader(header) {
+    if (!header) return [];
+    
+    return header.split(',')
+      .map(pair => {
+        const [value, window] = pair.split(':').map(Number);
+        return { value, window };
+      })
+      .filter(({ value, window }) => value >= 0 && window > 0);
+  }
+
+  // Create or update the limit of one window
+  setLimit(scope, window, limit) {
+    const key = `${scope}:${window}`;
+    const bucket = this.buckets.get(key) || { count: 0, window, resetAt: Date.now() + window * 1000 };
+    bucket.limit = limit;
+    this.buckets.set(key, bucket);
+    return bucket;
+  }
+
+  // Adopt the limits and counts reported by a response
+  updateFromHeaders(headers) {
+    [['app', 'X-App-Rate-Limit'], ['method', 'X-Method-Rate-Limit']].forEach(([scope, header]) => {
+      const limits = RateLimiter.parseHeader(headers.get(header));
+      const counts = RateLimiter.parseHeader(headers.get(`${header}-Count`));
+      
+      if (limits.length === 0) return;
+      
+      // Reported limits replace the defaults for this scope
+      this.buckets.forEach((bucket, key) => {
+        if (key.startsWith(`${scope}:`) && !limits.some(limit => limit.window === bucket.window)) {
+          this.buckets.delete(key);
+        }
+      });
+      
+      limits.forEach(({ value, window }) => {
+        const bucket = this.setLimit(scope, window, value);
+        const reported = counts.find(count => count.window === window);
+        if (reported) {
+          bucket.count = reported.value;
+        }
+      });
+    });
   }
 
-  // Set API key
-  setApiKey(apiKey) {
-    this.apiKey = apiKey;
-    Storage.save('riot_api_key', apiKey);
+  // Pause all requests for a while (after a 429)
+  blockFor(ms) {
+    this.blockedUntil = Math.max(this.blockedUntil, Date.now() + ms);
   }
 
-  // Get API key
-  getApiKey() {
-    return this.apiKey;
+  // Milliseconds to wait before the next request is allowed
+  getWaitTime() {
+    const now = Date.now();
+    let wait = Math.max(0, this.blockedUntil - now);
+    
+    this.buckets.forEach(bucket => {
+      if (bucket.resetAt <= now) {
+        bucket.count = 0;
+        bucket.resetAt = now + bucket.window * 1000;
+      } else if (bucket.count >= bucket.limit) {
+        wait = Math.max(wait, bucket.resetAt - now);
+      }
+    });
+    
+    return wait;
   }
 
-  // Check if API key is available
-  hasApiKey() {
-    return !!this.apiKey;
+  // Count a request against every window
+  record() {
+    this.buckets.forEach(bucket => {
+      bucket.count++;
+    });
+  }
+}
+
+/**
+ * API Client
+ */
+class RiotApiClient {
+  constructor() {
+    this.requestQueue = [];
+    this.isProcessing = false;
+    this.rateLimiter = new RateLimiter(ApiConfig.rateLimits.personal);
   }
 
   // Make API request with rate limiting
@@ -92,36 +196,18 @@ class RiotApiClient {
     this.isProcessing = true;
 
     while (this.requestQueue.length > 0) {
-      // Check rate limits
-      const now = Date.now();
-      if (now > this.minuteResetTime) {
-        this.requestsThisMinute = 0;
-        this.minuteResetTime = now + 60000;
-      }
-
-      if (now - this.lastRequestTime < 1000) {
-        if (this.requestsThisSecond >= ApiConfig.rateLimits.personal.perSecond) {
-          await this.sleep(1000 - (now - this.lastRequestTime));
-          this.requestsThisSecond = 0;
-        }
-      } else {
-        this.requestsThisSecond = 0;
-      }
-
-      if (this.requestsThisMinute >= ApiConfig.rateLimits.personal.perMinute) {
-        await this.sleep(this.minuteResetTime - now);
-        this.requestsThisMinute = 0;
-        this.minuteResetTime = Date.now() + 60000;
+      // Wait until the limits reported by previous responses allow another request
+      const wait = this.rateLimiter.getWaitTime();
+      if (wait > 0) {
+        await this.sleep(wait);
       }
 
       // Process next request
       const { url, options, resolve, reject } = this.requestQueue.shift();
+      this.rateLimiter.record();
       
       try {
         const response = await this.executeRequest(url, options);
-        this.requestsThisSecond++;
-        this.requestsThisMinute++;
-        this.lastRequestTime = Date.now();
         resolve(response);
       } catch (error) {
         reject(error);
@@ -134,68 +220,58 @@ class RiotApiClient {
     this.isProcessing = false;
   }
 
-  // Execute HTTP request
+  // Execute HTTP request against the proxy, retrying retryable errors with backoff
   async executeRequest(url, options = {}) {
-    if (!this.apiKey) {
-      throw new Error('API key not set');
-    }
-
     const headers = {
-      'X-Riot-Token': this.apiKey,
       'Content-Type': 'application/json',
       ...options.headers
     };
 
-    const response = await fetch(url, {
-      ...options,
-      headers
-    });
+    for (let attempt = 0; ; attempt++) {
+      const response = await fetch(url, {
+        ...options,
+        headers
+      });
+      
+      this.rateLimiter.updateFromHeaders(response.headers);
+
+      if (response.ok) {
+        return await response.json();
+      }
 
-    if (!response.ok) {
       const error = await this.handleApiError(response);
-      throw error;
-    }
 
-    return await response.json();
+      if (!error.retryable || attempt >= ApiConfig.retry.maxRetries) {
+        throw error;
+      }
+
+      const delay = error.retryAfter ? error.retryAfter * 1000 : ApiConfig.retry.baseDelay * Math.pow(2, attempt);
+      if (error.code === 'RATE_LIMITED') {
+        this.rateLimiter.blockFor(delay);
+      }
+      await this.sleep(delay);
+    }
   }
 
-  // Handle API errors
+  // Handle errors returned by the serverless proxy ({ code, message, upstreamStatus, retryable })
   async handleApiError(response) {
-    const status = response.status;
-    let message = `API Error ${status}`;
+    const retryAfter = parseInt(response.headers.get('Retry-After')) || null;
+    let errorData = null;
 
     try {
-      const errorData = await response.json();
-      message = errorData.message || message;
+      errorData = await response.json();
     } catch (e) {
-      // Ignore JSON parsing errors
+      // Not a JSON error body (e.g. the platform's own error page)
     }
 
-    switch (status) {
-      case 400:
-        message = 'Bad Request - Invalid parameters';
-        break;
-      case 401:
-        message = 'Unauthorized - Invalid API key';
-        break;
-      case 403:
-        message = 'Forbidden - API key expired or invalid';
-        break;
-      case 404:
-        message = 'Not Found - Player not found';
-        break;
-      case 429:
-        message = 'Rate Limited - Too many requests';
-        break;
-      case 500:
-        message = 'Internal Server Error - Riot API issue';
-        break;
-      case 503:
-        message = 'Service Unavailable - Riot API maintenance';
-        break;
+    if (!errorData || !errorData.code) {
+      return new ApiRequestError(response.status >= 500 ? 'UPSTREAM_ERROR' : 'INTERNAL_ERROR', null, {
+        status: response.status,
+        retryAfter
+      });
     }
 
-    return new Error(message);
+    return ApiRequestError.fromPayload(errorData, { status: response.status, retryAfter });
   }
 
   // Sleep utility
@@ -203,73 +279,69 @@ class RiotApiClient {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  // Get account by Riot ID
-  async getAccountByRiotId(gameName, tagLine) {
-    const region = 'americas'; // Default to americas for account lookup
-    const url = `${ApiConfig.baseUrls[region]}${ApiConfig.endpoints.account
-      .replace('{gameName}', encodeURIComponent(gameName))
-      .replace('{tagLine}', encodeURIComponent(tagLine))}`;
-
-    return await this.makeRequest(url);
-  }
-
-  // Get summoner by PUUID
-  async getSummonerByPuuid(puuid, region) {
-    const url = `https://${region}.api.riotgames.com${ApiConfig.endpoints.summoner
-      .replace('{puuid}', puuid)}`;
-
-    return await this.makeRequest(url);
+  // Check whether the proxy has a Riot API key and whether Riot accepts it
+  async getProxyHealth(fresh = false) {
+    const baseUrl = window.location.origin;
+    return await this.makeRequest(`${baseUrl}/api/health${fresh ? '?fresh=1' : ''}`);
   }
 
-  // Get league entries by summoner ID
-  async getLeagueEntriesBySummonerId(summonerId, region) {
-    const url = `https://${region}.api.riotgames.com${ApiConfig.endpoints.league
-      .replace('{summonerId}', summonerId)}`;
+  // Get player ranked info, fresh bypasses the proxy's and the browser's cache
+  async getPlayerRankedInfo(riotId, region, { fresh = false } = {}) {
+    const baseUrl = window.location.origin;
 
-    return await this.makeRequest(url);
+    try {
+      return await this.makeRequest(
+        `${baseUrl}/api/player?riotId=${encodeURIComponent(riotId)}&region=${region}${fresh ? '&fresh=1' : ''}`,
+        fresh ? { cache: 'no-cache' } : {}
+      );
+    } catch (error) {
+      // Name the Riot ID the user typed when it doesn't exist
+      if (error.code === 'UNKNOWN_ACCOUNT') {
+        error.message = `Riot ID ${riotId} not found on ${region.toUpperCase()} - check the name, tag and region`;
+      }
+      throw error;
+    }
   }
 
-  // Get current game by summoner ID
-  async getCurrentGameBySummonerId(summonerId, region) {
-    const url = `https://${region}.api.riotgames.com${ApiConfig.endpoints.spectator
-      .replace('{summonerId}', summonerId)}`;
-
-    return await this.makeRequest(url);
+  // Get ranked info for several players in one request
+  async getPlayersRankedInfo(players) {
+    const baseUrl = window.location.origin;
+    const data = await this.makeRequest(`${baseUrl}/api/players`, {
+      method: 'POST',
+      body: JSON.stringify({
+        players: players.map(player => ({ riotId: player.riotId, region: player.region }))
+      })
+    });
+    
+    return data.results;
   }
 
-  // Get player ranked info
-  async getPlayerRankedInfo(riotId, region) {
+  // Get a summary of the player's most recent games, only the ones played
+  // after startTime (epoch seconds) when given
+  // knownIds are match IDs the app already stores, the proxy skips their details
+  async getRecentMatches(riotId, region, count = 5, startTime = null, knownIds = []) {
     const baseUrl = window.location.origin;
-    const response = await fetch(`${baseUrl}/api/player?riotId=${encodeURIComponent(riotId)}&region=${region}`);
+    const params = new URLSearchParams({ riotId, region, count });
     
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error || 'API request failed');
+    if (startTime) {
+      params.set('startTime', startTime);
     }
+    if (knownIds.length > 0) {
+      params.set('known', knownIds.join(','));
+    }
+    
+    const data = await this.makeRequest(`${baseUrl}/api/matches?${params}`);
     
-    return await response.json();
+    return data.matches;
   }
 
   // Update player with API data
-  async updatePlayerWithApiData(player) {
+  async updatePlayerWithApiData(player, options = {}) {
     try {
-      const rankedInfo = await this.getPlayerRankedInfo(player.riotId, player.region);
-      
-      // Update player data
-      player.tier = rankedInfo.tier;
-      player.division = rankedInfo.rank;
-      player.lp = rankedInfo.leaguePoints;
-      player.wins = rankedInfo.wins;
-      player.losses = rankedInfo.losses;
-      player.lastUpdated = rankedInfo.lastUpdated;
+      const rankedInfo = await this.getPlayerRankedInfo(player.riotId, player.region, options);
       
-      // Store additional data
-      player.summonerId = rankedInfo.summonerId;
-      player.summonerLevel = rankedInfo.summonerLevel;
-      player.veteran = rankedInfo.veteran;
-      player.inactive = rankedInfo.inactive;
-      player.freshBlood = rankedInfo.freshBlood;
-      player.hotStreak = rankedInfo.hotStreak;
+      // Update per-queue rank data and summoner info
+      PlayerUtils.applyRankedInfo(player, rankedInfo);
       
       return player;
     } catch (error) {
@@ -278,23 +350,90 @@ class RiotApiClient {
     }
   }
 
-  // Check if player is in game
-  async isPlayerInGame(player) {
-    try {
-      if (!player.summonerId) {
-        // Need to get summoner ID first
-        const rankedInfo = await this.getPlayerRankedInfo(player.riotId, player.region);
-        player.summonerId = rankedInfo.summonerId;
-      }
+  // Update several players with one batch request, returns updated and failed players
+  async updatePlayersWithApiData(players) {
+    const updated = [];
+    const failed = [];
+    
+    // The batch route caps the number of players per request
+    for (let start = 0; start < players.length; start += ApiConfig.batchSize) {
+      let pending = players.slice(start, start + ApiConfig.batchSize);
       
-      const gameData = await this.getCurrentGameBySummonerId(player.summonerId, player.region);
-      return gameData !== null;
-    } catch (error) {
-      if (error.message.includes('404')) {
-        return false; // Player not in game
+      // Players that failed with a retryable error (rate limits, maintenance) are
+      // sent again after a wait, instead of failing them
+      for (let attempt = 0; pending.length > 0; attempt++) {
+        let results;
+        
+        // A failed batch request fails its players only, the other chunks
+        // keep their updates
+        try {
+          results = await this.getPlayersRankedInfo(pending);
+        } catch (error) {
+          pending.forEach(player => {
+            console.error(`Failed to update player ${player.name}:`, error);
+            failed.push({ player, error });
+          });
+          break;
+        }
+        
+        const retry = [];
+        let delay = 0;
+        
+        results.forEach((result, index) => {
+          const player = pending[index];
+          
+          if (result.ok) {
+            PlayerUtils.applyRankedInfo(player, result.data);
+            updated.push(player);
+            return;
+          }
+          
+          const error = ApiRequestError.fromPayload(result.error, { retryAfter: result.retryAfter || null });
+          
+          if (error.retryable && attempt < ApiConfig.retry.maxRetries) {
+            retry.push(player);
+            delay = Math.max(delay, error.retryAfter ?
+              error.retryAfter * 1000 :
+              ApiConfig.retry.baseDelay * Math.pow(2, attempt));
+          } else {
+            console.error(`Failed to update player ${player.name}:`, error);
+            failed.push({ player, error });
+          }
+        });
+        
+        if (retry.length > 0) {
+          this.rateLimiter.blockFor(delay);
+        }
+        pending = retry;
       }
-      throw error;
     }
+    
+    return { updated, failed };
+  }
+
+  // Get the game a player is currently in (spectator-v5), null when not in game
+  async getLiveGame(player) {
+    const baseUrl = window.location.origin;
+    const params = new URLSearchParams({ riotId: player.riotId, region: player.region });
+    
+    // The PUUID saves the proxy an account lookup
+    if (player.puuid) {
+      params.set('puuid', player.puuid);
+    }
+    
+    const data = await this.makeRequest(`${baseUrl}/api/live?${params}`);
+    
+    // Keep the PUUID the proxy resolved for the next lookups
+    if (!player.puuid && data.puuid) {
+      player.puuid = data.puuid;
+    }
+    
+    return data.game;
+  }
+
+  // Check if player is in game
+  async isPlayerInGame(player) {
+    return (await this.getLiveGame(player)) !== null;
   }
 }
 
@@ -304,17 +443,19 @@ class RiotApiClient {
 class MockRiotApiClient {
   constructor() {
     this.mockData = new Map();
+    this.mockLiveGames = new Map();
     this.initializeMockData();
   }
 
   // Initialize mock data
   initializeMockData() {
     const mockPlayers = [
-      { tier: 'SILVER', rank: 'II', lp: 45, wins: 12, losses: 8 },
-      { tier: 'GOLD', rank: 'IV', lp: 78, wins: 25, losses: 18 },
-      { tier: 'BRONZE', rank: 'I', lp: 23, wins: 8, losses: 12 },
-      { tier: 'PLATINUM', rank: 'III', lp: 56, wins: 45, losses: 32 },
-      { tier: 'IRON', rank: 'II', lp: 67, wins: 5, losses: 15 }
+      { RANKED_SOLO_5x5: { tier: 'SILVER', rank: 'II', lp: 45, wins: 12, losses: 8 } },
+      { RANKED_SOLO_5x5: { tier: 'GOLD', rank: 'IV', lp: 78, wins: 25, losses: 18 },
+        RANKED_FLEX_SR: { tier: 'SILVER', rank: 'I', lp: 12, wins: 9, losses: 7 } },
+      { RANKED_SOLO_5x5: { tier: 'BRONZE', rank: 'I', lp: 23, wins: 8, losses: 12 } },
+      { RANKED_SOLO_5x5: { tier: 'PLATINUM', rank: 'III', lp: 56, wins: 45, losses: 32 } },
+      { RANKED_FLEX_SR: { tier: 'IRON', rank: 'II', lp: 67, wins: 5, losses: 15 } }
     ];
 
     // Store mock data for different players
@@ -323,6 +464,20 @@ class MockRiotApiClient {
     });
   }
 
+  // Generate random rank data for one queue
+  randomQueueData() {
+    // Iron to Emerald, mock players are not apex
+    const tiers = RankUtils.ladder.slice(0, RankUtils.getTierIndex('EMERALD') + 1).map(entry => entry.tier);
+    
+    return {
+      tier: RandomUtils.randomChoice(tiers),
+      rank: RandomUtils.randomChoice(RankUtils.divisions),
+      lp: RandomUtils.randomInt(0, 100),
+      wins: RandomUtils.randomInt(5, 50),
+      losses: RandomUtils.randomInt(5, 50)
+    };
+  }
+
   // Simulate API delay
   async sleep(ms = 500) {
     return new Promise(resolve => setTimeout(resolve, ms));
@@ -336,42 +491,43 @@ class MockRiotApiClient {
     let mockData = this.mockData.get(gameName.toLowerCase());
     
     if (!mockData) {
-      // Generate random data for new players
-      const tiers = ['IRON', 'BRONZE', 'SILVER', 'GOLD', 'PLATINUM'];
-      const ranks = ['IV', 'III', 'II', 'I'];
+      // Generate random data for new players, some of them also play Flex
+      mockData = { RANKED_SOLO_5x5: this.randomQueueData() };
       
-      mockData = {
-        tier: RandomUtils.randomChoice(tiers),
-        rank: RandomUtils.randomChoice(ranks),
-        lp: RandomUtils.randomInt(0, 100),
-        wins: RandomUtils.randomInt(5, 50),
-        losses: RandomUtils.randomInt(5, 50)
-      };
+      if (Math.random() < 0.5) {
+        mockData.RANKED_FLEX_SR = this.randomQueueData();
+      }
       
       this.mockData.set(gameName.toLowerCase(), mockData);
     }
 
     // Simulate some progression
-    if (Math.random() < 0.3) {
-      mockData.wins += RandomUtils.randomInt(0, 2);
-      mockData.losses += RandomUtils.randomInt(0, 1);
-      mockData.lp += RandomUtils.randomInt(-10, 15);
-      mockData.lp = Math.max(0, Math.min(100, mockData.lp));
-    }
+    Object.values(mockData).forEach(queueData => {
+      if (Math.random() < 0.3) {
+        queueData.wins += RandomUtils.randomInt(0, 2);
+        queueData.losses += RandomUtils.randomInt(0, 1);
+        queueData.lp += RandomUtils.randomInt(-10, 15);
+        queueData.lp = Math.max(0, Math.min(100, queueData.lp));
+      }
+    });
 
     return {
+      puuid: `puuid_${gameName.toLowerCase()}`,
       summonerId: `summoner_${gameName.toLowerCase()}`,
       summonerName: gameName,
       summonerLevel: RandomUtils.randomInt(30, 200),
-      tier: mockData.tier,
-      rank: mockData.rank,
-      leaguePoints: mockData.lp,
-      wins: mockData.wins,
-      losses: mockData.losses,
-      veteran: Math.random() < 0.1,
-      inactive: Math.random() < 0.05,
-      freshBlood: Math.random() < 0.1,
-      hotStreak: Math.random() < 0.15,
+      queues: Object.entries(mockData).map(([queueType, queueData]) => ({
+        queueType,
+        tier: queueData.tier,
+        rank: queueData.rank,
+        leaguePoints: queueData.lp,
+        wins: queueData.wins,
+        losses: queueData.losses,
+        veteran: Math.random() < 0.1,
+        inactive: Math.random() < 0.05,
+        freshBlood: Math.random() < 0.1,
+        hotStreak: Math.random() < 0.15
+      })),
       lastUpdated: new Date().toISOString()
     };
   }
@@ -380,39 +536,88 @@ class MockRiotApiClient {
   async updatePlayerWithApiData(player) {
     const rankedInfo = await this.getPlayerRankedInfo(player.riotId, player.region);
     
-    player.tier = rankedInfo.tier;
-    player.division = rankedInfo.rank;
-    player.lp = rankedInfo.leaguePoints;
-    player.wins = rankedInfo.wins;
-    player.losses = rankedInfo.losses;
-    player.lastUpdated = rankedInfo.lastUpdated;
-    player.summonerId = rankedInfo.summonerId;
-    player.summonerLevel = rankedInfo.summonerLevel;
-    player.veteran = rankedInfo.veteran;
-    player.inactive = rankedInfo.inactive;
-    player.freshBlood = rankedInfo.freshBlood;
-    player.hotStreak = rankedInfo.hotStreak;
+    PlayerUtils.applyRankedInfo(player, rankedInfo);
     
     return player;
   }
 
-  // Mock is player in game
-  async isPlayerInGame(player) {
-    await this.sleep(200);
-    return Math.random() < 0.1; // 10% chance player is in game
-  }
-
-  // Mock methods to match real API
-  setApiKey(apiKey) {
-    // Mock implementation
+  // Mock batch update
+  async updatePlayersWithApiData(players) {
+    const updated = [];
+    const failed = [];
+    
+    await Promise.all(players.map(async (player) => {
+      try {
+        updated.push(await this.updatePlayerWithApiData(player));
+      } catch (error) {
+        failed.push({ player, error });
+      }
+    }));
+    
+    return { updated, failed };
   }
 
-  getApiKey() {
-    return 'mock_api_key';
+  // Mock recent games, a few new ones since startTime when given
+  async getRecentMatches(riotId, region, count = 5, startTime = null) {
+    await this.sleep();
+    
+    const champions = ['Ahri', 'Jinx', 'Lee Sin', 'Thresh', 'Darius', 'Lux', 'Yasuo', 'Ezreal'];
+    const roles = Object.keys(MatchUtils.roleNames);
+    const since = startTime ? startTime * 1000 : null;
+    
+    return Array.from({ length: since ? Math.min(count, RandomUtils.randomInt(0, 3)) : count }, (_, index) => ({
+      matchId: `MOCK_${RandomUtils.randomInt(1000000, 9999999)}`,
+      queueId: RandomUtils.randomChoice([420, 420, 440, 450]),
+      champion: RandomUtils.randomChoice(champions),
+      role: RandomUtils.randomChoice(roles),
+      kills: RandomUtils.randomInt(0, 15),
+      deaths: RandomUtils.randomInt(0, 12),
+      assists: RandomUtils.randomInt(0, 20),
+      cs: RandomUtils.randomInt(20, 280),
+      pentaKills: Math.random() < 0.02 ? 1 : 0,
+      win: Math.random() < 0.5,
+      duration: RandomUtils.randomInt(900, 2400),
+      playedAt: since ?
+        new Date(RandomUtils.randomInt(since, Date.now())).toISOString() :
+        new Date(Date.now() - (index + 1) * RandomUtils.randomInt(1, 6) * 3600000).toISOString()
+    }));
+  }
+
+  // Mock live game, a started game lasts until its random duration is over
+  async getLiveGame(player) {
+    await this.sleep(200);
+    
+    const key = player.riotId.toLowerCase();
+    const current = this.mockLiveGames.get(key);
+    
+    if (current && current.endsAt > Date.now()) {
+      return current.game;
+    }
+    this.mockLiveGames.delete(key);
+    
+    // 10% chance player is in game
+    if (Math.random() >= 0.1) {
+      return null;
+    }
+    
+    const gameStartTime = Date.now() - RandomUtils.randomInt(0, 20) * 60000;
+    const game = {
+      gameId: RandomUtils.randomInt(1000000, 9999999),
+      queueId: RandomUtils.randomChoice([420, 420, 440, 450]),
+      gameMode: 'CLASSIC',
+      championId: null,
+      champion: RandomUtils.randomChoice(['Ahri', 'Jinx', 'Lee Sin', 'Thresh', 'Darius', 'Lux', 'Yasuo', 'Ezreal']),
+      gameStartTime,
+      gameLength: Math.round((Date.now() - gameStartTime) / 1000)
+    };
+    
+    this.mockLiveGames.set(key, { game, endsAt: gameStartTime + RandomUtils.randomInt(20, 40) * 60000 });
+    return game;
   }
 
-  hasApiKey() {
-    return true;
+  // Mock is player in game
+  async isPlayerInGame(player) {
+    return (await this.getLiveGame(player)) !== null;
   }
 }
 
@@ -423,7 +628,15 @@ class ApiManager {
   constructor() {
     this.realClient = new RiotApiClient();
     this.mockClient = new MockRiotApiClient();
-    this.useMockApi = !this.realClient.hasApiKey();
+    // Simulated data until the proxy reports a configured key
+    this.useMockApi = true;
+    this.proxyHealth = null;
+    this.updateListeners = [];
+  }
+
+  // Register a callback run after every successful player update
+  onPlayerUpdated(listener) {
+    this.updateListeners.push(listener);
   }
 
   // Get current client (real or mock)
@@ -431,10 +644,28 @@ class ApiManager {
     return this.useMockApi ? this.mockClient : this.realClient;
   }
 
-  // Set API key and switch to real client
-  setApiKey(apiKey) {
-    this.realClient.setApiKey(apiKey);
-    this.useMockApi = false;
+  // Ask the proxy for its key status and use the real client when it has a key.
+  // An unreachable proxy (e.g. the page opened without the /api routes) means mock data.
+  async checkProxyHealth(fresh = false) {
+    try {
+      this.proxyHealth = await this.realClient.getProxyHealth(fresh);
+    } catch (error) {
+      console.error('Proxy health check failed:', error);
+      this.proxyHealth = {
+        keyConfigured: false,
+        keyStatus: 'unreachable',
+        upstreamStatus: null,
+        checkedAt: new Date().toISOString()
+      };
+    }
+    
+    this.useMockApi = !this.proxyHealth.keyConfigured;
+    return this.proxyHealth;
+  }
+
+  // Last proxy health report
+  getProxyHealth() {
+    return this.proxyHealth;
   }
 
   // Check if using mock API
@@ -449,32 +680,42 @@ class ApiManager {
 
   // Force use of real API
   useReal() {
-    if (this.realClient.hasApiKey()) {
+    if (this.proxyHealth && this.proxyHealth.keyConfigured) {
       this.useMockApi = false;
     } else {
-      throw new Error('No API key set for real API client');
+      throw new Error('The API proxy has no Riot API key configured');
     }
   }
 
   // Delegate methods to current client
-  async getPlayerRankedInfo(riotId, region) {
-    return await this.getCurrentClient().getPlayerRankedInfo(riotId, region);
+  async getPlayerRankedInfo(riotId, region, options) {
+    return await this.getCurrentClient().getPlayerRankedInfo(riotId, region, options);
   }
 
-  async updatePlayerWithApiData(player) {
-    return await this.getCurrentClient().updatePlayerWithApiData(player);
+  async updatePlayerWithApiData(player, options) {
+    const updatedPlayer = await this.getCurrentClient().updatePlayerWithApiData(player, options);
+    this.updateListeners.forEach(listener => listener(updatedPlayer));
+    return updatedPlayer;
   }
 
-  async isPlayerInGame(player) {
-    return await this.getCurrentClient().isPlayerInGame(player);
+  async updatePlayersWithApiData(players) {
+    const result = await this.getCurrentClient().updatePlayersWithApiData(players);
+    result.updated.forEach(player => {
+      this.updateListeners.forEach(listener => listener(player));
+    });
+    return result;
   }
 
-  hasApiKey() {
-    return this.getCurrentClient().hasApiKey();
+  async getRecentMatches(riotId, region, count, startTime, knownIds) {
+    return await this.getCurrentClient().getRecentMatches(riotId, region, count, startTime, knownIds);
   }
 
-  getApiKey() {
-    return this.getCurrentClient().getApiKey();
+  async getLiveGame(player) {
+    return await this.getCurrentClient().getLiveGame(player);
+  }
+
+  async isPlayerInGame(player) {
+    return await this.getCurrentClient().isPlayerInGame(player);
   }
 }
 
@@ -485,6 +726,8 @@ const apiManager = new ApiManager();
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     ApiConfig,
+    ApiRequestError,
+    RateLimiter,
     RiotApiClient,
     MockRiotApiClient,
     ApiManager,
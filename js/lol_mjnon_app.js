@@ -1,324 +1,1804 @@
 // Main application logic for LoL Competition Tracker
 
+/**
+ * Settings of a new competition
+ */
+function getDefaultSettings() {
+  return {
+    competitionName: 'My Friends League',
+    season: 'Season 2025',
+    seasonStartedAt: null,
+    queue: RankUtils.defaultQueue,
+    historyLimit: HistoryUtils.defaultLimit,
+    matchLimit: MatchUtils.defaultLimit,
+    mode: ScoringUtils.defaultMode,
+    handicap: { ...HandicapUtils.defaults },
+    scoring: ScoringUtils.getPresetConfig(ScoringUtils.defaultPreset)
+  };
+}
+
 /**
  * Application State
+ *
+ * players, achievements, history, archive and settings belong to the active
+ * competition and are written back into it by saveAppState(). activity is the
+ * log of changes across all competitions.
  */
 let appState = {
+  competitions: [],
+  activeCompetitionId: null,
   players: [],
   achievements: {},
-  settings: {
-    competitionName: 'My Friends League',
-    season: 'Season 2025',
-    apiKey: null
-  },
+  customAchievements: [],
+  history: {},
+  matches: {},
+  archive: [],
+  settings: getDefaultSettings(),
+  activity: [],
   currentTab: 'leaderboard',
   isUpdating: false
 };
 
+/**
+ * Recent games per player ID (fetched on demand, not persisted)
+ */
+const recentGames = {};
+
+/**
+ * Live games per player ID (refreshed while the page is visible, not persisted)
+ */
+const liveGames = {};
+let liveRefreshTimer = null;
+let isRefreshingLive = false;
+
+/**
+ * Import file waiting for the replace or merge choice
+ */
+let pendingImport = null;
+
+/**
+ * Players waiting for a match sync, which runs after the rank update
+ */
+const matchSyncQueue = new Set();
+let isSyncingMatches = false;
+
+/**
+ * Undoable operations as { operation, state }, state being the serialized
+ * competitions to go back to (not persisted)
+ */
+const undoStack = [];
+const redoStack = [];
+
 /**
  * Initialize Application
  */
-document.addEventListener('DOMContentLoaded', () => {
-  loadAppState();
+document.addEventListener('DOMContentLoaded', async () => {
+  await loadAppState();
+  apiManager.onPlayerUpdated(trackPlayerUpdate);
   initializeEventListeners();
+  initializeRankSelects();
   renderCurrentTab();
   updateHeaderStats();
   
+  // The proxy decides between real and simulated data
+  await apiManager.checkProxyHealth();
+  renderProxyHealth();
+  
+  if (!document.hidden) {
+    startLiveRefresh();
+  }
+  
   // Show appropriate notification based on API status
   if (apiManager.isUsingMockApi()) {
-    setTimeout(() => {
-      NotificationUtils.showInfo('Using simulated data. Add your Riot API key in Settings for real updates.');
-    }, 1000);
+    NotificationUtils.showInfo('Using simulated data. Set RIOT_API_KEY on the server for real updates.');
   }
 });
 
 /**
- * Load application state from storage
+ * Load application state from storage, upgrading older saves
  */
-function loadAppState() {
-  const savedState = Storage.load('lol_app_state');
+async function loadAppState() {
+  let savedState = await Storage.load('lol_app_state');
+  const fromLocalStorage = !savedState;
+  
+  // Older versions kept everything in localStorage
+  if (!savedState) {
+    savedState = Storage.legacy.load('lol_app_state');
+  }
+  
+  let needsSave = false;
+  
   if (savedState) {
-    appState = { ...appState, ...savedState };
+    try {
+      const { data, migrated } = MigrationUtils.migrate(savedState);
+      appState.competitions = data.competitions;
+      appState.activeCompetitionId = data.activeCompetitionId;
+      appState.activity = data.activity || [];
+      needsSave = migrated || fromLocalStorage;
+    } catch (error) {
+      console.error('Failed to upgrade saved data:', error);
+      NotificationUtils.showError(`Saved data could not be loaded: ${error.message}`);
+    }
+  }
+  
+  if (appState.competitions.length === 0) {
+    appState.competitions = [CompetitionUtils.create(getDefaultSettings())];
   }
   
-  // Set API key if available
-  if (appState.settings.apiKey) {
-    apiManager.setApiKey(appState.settings.apiKey);
+  // Older versions kept the Riot API key in the browser
+  Storage.legacy.remove('riot_api_key');
+  
+  activateCompetition(appState.activeCompetitionId);
+  
+  // The localStorage copy goes once the upgraded state is stored
+  if (needsSave && await saveAppState() && fromLocalStorage) {
+    Storage.legacy.remove('lol_app_state');
   }
 }
 
 /**
- * Save application state to storage
+ * Save application state to storage, resolves to whether it was stored.
+ * A failed save is reported, the changes then only live until a reload.
  */
-function saveAppState() {
-  Storage.save('lol_app_state', appState);
+async function saveAppState() {
+  syncActiveCompetition();
+  
+  const saved = await Storage.save('lol_app_state', {
+    schemaVersion: MigrationUtils.currentVersion,
+    competitions: appState.competitions,
+    activeCompetitionId: appState.activeCompetitionId,
+    activity: appState.activity
+  });
+  
+  if (!saved) {
+    NotificationUtils.showError('Your changes could not be saved in this browser, export your data to keep them');
+  }
+  return saved;
 }
 
 /**
- * Initialize event listeners
+ * Write the app state's data back into the active competition
  */
-function initializeEventListeners() {
-  // Tab navigation
-  document.querySelectorAll('.nav-tab').forEach(tab => {
-    tab.addEventListener('click', (e) => {
-      const tabName = e.currentTarget.getAttribute('onclick').match(/'([^']+)'/)[1];
-      showTab(tabName);
-    });
-  });
-
-  // Modal close on outside click
-  document.addEventListener('click', (e) => {
-    if (e.target.classList.contains('modal')) {
-      closeAddPlayerModal();
-    }
-  });
-
-  // Form submission
-  document.getElementById('add-player-form').addEventListener('submit', (e) => {
-    e.preventDefault();
-    addPlayer();
-  });
+function syncActiveCompetition() {
+  Object.assign(getActiveCompetition(), CompetitionUtils.pick(appState));
+}
 
-  // Escape key to close modal
-  document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape') {
-      closeAddPlayerModal();
-    }
-  });
+/**
+ * Serialized state an operation can be undone to: the active competition,
+ * or with all every competition (for operations adding or removing one)
+ */
+function captureState(all = false) {
+  syncActiveCompetition();
+  
+  return JSON.stringify(all ?
+    { competitions: appState.competitions, activeCompetitionId: appState.activeCompetitionId } :
+    { competition: getActiveCompetition() });
 }
 
 /**
- * Show tab
+ * Go back to a parsed captureState() result, activating its competition
  */
-function showTab(tabName) {
-  // Update active tab
-  document.querySelectorAll('.nav-tab').forEach(tab => {
-    tab.classList.remove('active');
-  });
+function restoreState(state) {
+  if (state.competitions) {
+    appState.competitions = state.competitions;
+    activateCompetition(state.activeCompetitionId);
+    return;
+  }
   
-  document.querySelectorAll('.tab-content').forEach(content => {
-    content.classList.remove('active');
-  });
+  const index = appState.competitions.findIndex(c => c.id === state.competition.id);
   
-  // Show selected tab
-  const selectedTab = document.querySelector(`.nav-tab[onclick="showTab('${tabName}')"]`);
-  const selectedContent = document.getElementById(`${tabName}-tab`);
+  if (index >= 0) {
+    appState.competitions[index] = state.competition;
+  } else {
+    appState.competitions.push(state.competition);
+  }
+  activateCompetition(state.competition.id);
+}
+
+/**
+ * Log a change of the app state and make it undoable. before is what
+ * captureState() returned before the change.
+ */
+function recordOperation(type, description, before) {
+  const operation = ActivityUtils.createEntry(type, description, appState.settings.competitionName);
   
-  if (selectedTab) selectedTab.classList.add('active');
-  if (selectedContent) selectedContent.classList.add('active');
+  undoStack.push({ operation, state: before });
+  undoStack.splice(0, Math.max(0, undoStack.length - ActivityUtils.undoLimit));
+  redoStack.length = 0;
   
-  appState.currentTab = tabName;
-  renderCurrentTab();
+  ActivityUtils.record(appState.activity, operation);
+  renderActivityLog();
+  
+  return operation;
 }
 
 /**
- * Render current tab content
+ * Undo the last operation. With an operation ID (from an "Undo" toast) only
+ * when that is still the last one.
  */
-function renderCurrentTab() {
-  switch (appState.currentTab) {
-    case 'leaderboard':
-      renderLeaderboard();
-      break;
-    case 'players':
-      renderPlayersTab();
-      break;
-    case 'achievements':
-      renderAchievements();
-      break;
-    case 'settings':
-      renderSettings();
-      break;
+function undo(operationId = null) {
+  const last = undoStack[undoStack.length - 1];
+  
+  if (operationId && (!last || last.operation.id !== operationId)) {
+    NotificationUtils.showWarning('Other changes were made since, undo them first from Settings → Activity Log');
+    return;
   }
+  
+  stepOperation(undoStack, redoStack, 'undo');
 }
 
 /**
- * Update header stats
+ * Redo the last undone operation
  */
-function updateHeaderStats() {
-  const totalPlayersEl = document.getElementById('totalPlayers');
-  const lastUpdatedEl = document.getElementById('lastUpdated');
+function redo() {
+  stepOperation(redoStack, undoStack, 'redo');
+}
+
+/**
+ * Restore the state of the top operation of one stack, keeping the current
+ * state on the other to go back to
+ */
+function stepOperation(fromStack, toStack, type) {
+  const verb = type === 'undo' ? 'Undid' : 'Redid';
   
-  if (totalPlayersEl) {
-    totalPlayersEl.textContent = appState.players.length;
+  if (appState.isUpdating) {
+    NotificationUtils.showWarning(`Wait for the update to finish before ${type === 'undo' ? 'undoing' : 'redoing'}`);
+    return;
   }
   
-  if (lastUpdatedEl) {
-    const lastUpdated = appState.players.reduce((latest, player) => {
-      const playerUpdated = new Date(player.lastUpdated || 0);
-      return playerUpdated > latest ? playerUpdated : latest;
-    }, new Date(0));
-    
-    lastUpdatedEl.textContent = lastUpdated.getTime() > 0 ? 
-      DateUtils.formatDate(lastUpdated.toISOString()) : 'Never';
+  const entry = fromStack.pop();
+  
+  if (!entry) {
+    NotificationUtils.showInfo(`Nothing to ${type}`);
+    return;
+  }
+  
+  const state = JSON.parse(entry.state);
+  
+  // Keep the current state of the same competition to go back to
+  if (state.competition && state.competition.id !== appState.activeCompetitionId &&
+      appState.competitions.some(c => c.id === state.competition.id)) {
+    syncActiveCompetition();
+    activateCompetition(state.competition.id);
   }
+  toStack.push({ operation: entry.operation, state: captureState(Boolean(state.competitions)) });
+  
+  restoreState(state);
+  
+  ActivityUtils.record(appState.activity, ActivityUtils.createEntry(
+    type,
+    `${verb}: ${entry.operation.description}`,
+    appState.settings.competitionName
+  ));
+  
+  saveAppState();
+  renderCurrentTab();
+  updateHeaderStats();
+  refreshLiveGames();
+  NotificationUtils.showInfo(`${verb}: ${entry.operation.description}`);
 }
 
 /**
- * Render leaderboard
+ * Render the activity log and the undo/redo buttons in Settings
  */
-function renderLeaderboard() {
-  const leaderboardList = document.getElementById('leaderboard-list');
+function renderActivityLog() {
+  const container = document.getElementById('activity-log');
+  const undoButton = document.getElementById('undoButton');
+  const redoButton = document.getElementById('redoButton');
+  const lastUndo = undoStack[undoStack.length - 1];
+  const lastRedo = redoStack[redoStack.length - 1];
   
-  if (!leaderboardList) return;
+  if (undoButton) {
+    undoButton.disabled = !lastUndo;
+    undoButton.title = lastUndo ? `Undo: ${lastUndo.operation.description} (Ctrl+Z)` : 'Nothing to undo';
+  }
   
-  if (appState.players.length === 0) {
-    leaderboardList.innerHTML = `
-      <div class="empty-state">
-        <div class="empty-icon">👥</div>
-        <h3>No players yet</h3>
-        <p>Add your first player to get started!</p>
-        <button class="btn btn-primary" onclick="showTab('players')">Add Player</button>
-      </div>
-    `;
-    return;
+  if (redoButton) {
+    redoButton.disabled = !lastRedo;
+    redoButton.title = lastRedo ? `Redo: ${lastRedo.operation.description} (Ctrl+Shift+Z)` : 'Nothing to redo';
   }
   
-  // Sort players by score
-  const sortedPlayers = [...appState.players].sort((a, b) => 
-    PlayerUtils.calculateScore(b) - PlayerUtils.calculateScore(a)
-  );
+  if (!container) return;
   
-  leaderboardList.innerHTML = sortedPlayers.map((player, index) => {
-    const rank = index + 1;
-    const totalGames = player.wins + player.losses;
-    const winRate = totalGames > 0 ? Math.round((player.wins / totalGames) * 100) : 0;
-    const score = PlayerUtils.calculateScore(player);
+  if (appState.activity.length === 0) {
+    container.innerHTML = '<p class="text-muted">No changes recorded yet.</p>';
+    return;
+  }
+  
+  container.innerHTML = [...appState.activity].reverse().map(entry => {
+    const type = ActivityUtils.types[entry.type] || { label: entry.type, icon: '•' };
     
     return `
-      <div class="leaderboard-item">
-        <div class="rank-badge rank-${rank <= 3 ? rank : 'other'}">
-          ${rank}
-        </div>
-        <div class="player-info">
-          <div class="player-avatar">
-            ${PlayerUtils.getInitials(player.name)}
-          </div>
-          <div class="player-details">
-            <div class="player-name">${player.name}</div>
-            <div class="player-id">${player.riotId}</div>
-          </div>
-        </div>
-        <div class="tier-info">
-          <div class="tier-icon ${player.tier.toLowerCase()}"></div>
-          <div class="tier-text ${RankUtils.getRankColorClass(player.tier)}">
-            ${RankUtils.formatRank(player.tier, player.division, player.lp)}
-          </div>
-        </div>
-        <div class="lp-value">${player.lp || 0}</div>
-        <div class="winrate-bar">
-          <div class="winrate-fill" style="width: ${winRate}%"></div>
-          <div class="winrate-text">${winRate}%</div>
-        </div>
-        <div class="games-count">${totalGames}</div>
-        <div class="score-value">${score}</div>
+      <div class="activity-item">
+        <span class="activity-icon" title="${type.label}">${type.icon}</span>
+        <span class="activity-text">
+          ${entry.description}
+          <span class="activity-meta">${entry.competitionName} · ${new Date(entry.timestamp).toLocaleString()}</span>
+        </span>
       </div>
     `;
   }).join('');
 }
 
 /**
- * Render players tab
+ * Get the competition shown in the app
  */
-function renderPlayersTab() {
-  const playersGrid = document.getElementById('players-grid');
+function getActiveCompetition() {
+  return appState.competitions.find(c => c.id === appState.activeCompetitionId);
+}
+
+/**
+ * Load a competition's data into the app state (the first one if the ID is unknown)
+ */
+function activateCompetition(competitionId) {
+  const competition = appState.competitions.find(c => c.id === competitionId) || appState.competitions[0];
   
-  if (!playersGrid) return;
+  appState.activeCompetitionId = competition.id;
+  appState.players = competition.players || [];
+  appState.achievements = competition.achievements || {};
+  appState.customAchievements = (competition.customAchievements || [])
+    .map(AchievementUtils.normalizeDefinition)
+    .filter(Boolean);
+  appState.history = competition.history || {};
+  appState.matches = competition.matches || {};
+  appState.archive = competition.archive || [];
+  appState.settings = { ...getDefaultSettings(), ...competition.settings };
   
-  if (appState.players.length === 0) {
-    playersGrid.innerHTML = `
-      <div class="empty-state">
-        <div class="empty-icon">👥</div>
-        <h3>No players yet</h3>
-        <p>Add your first player to start tracking!</p>
-        <button class="btn btn-primary" onclick="showAddPlayerModal()">Add Player</button>
-      </div>
-    `;
+  appState.players.forEach(player => {
+    PlayerUtils.recordMissingBaselines(player, appState.history[player.id]);
+  });
+  AchievementUtils.backfillUnlocks(appState.achievements, appState.players, appState.history, appState.settings.queue, getAchievements());
+}
+
+/**
+ * Switch to another competition
+ */
+function switchCompetition(competitionId) {
+  saveAppState();
+  activateCompetition(competitionId);
+  saveAppState();
+  
+  renderCurrentTab();
+  updateHeaderStats();
+  refreshLiveGames();
+}
+
+/**
+ * Create a competition with its own roster and settings, and switch to it
+ */
+function createCompetition() {
+  const name = prompt('Name of the new competition:', 'New Competition');
+  
+  if (name === null) return;
+  
+  if (!name.trim()) {
+    NotificationUtils.showError('Competition name is required');
     return;
   }
   
-  playersGrid.innerHTML = appState.players.map((player, index) => {
-    const totalGames = player.wins + player.losses;
-    const winRate = PlayerUtils.formatWinRate(player.wins, player.losses);
-    const score = PlayerUtils.calculateScore(player);
-    
-    return `
-      <div class="player-card">
-        <div class="player-card-header">
-          <div class="player-info">
-            <div class="player-avatar">
-              ${PlayerUtils.getInitials(player.name)}
-            </div>
-            <div class="player-details">
-              <div class="player-name">${player.name}</div>
-              <div class="player-id">${player.riotId}</div>
-            </div>
-          </div>
-          <div class="player-card-actions">
-            <button class="btn btn-secondary" onclick="updateSinglePlayer(${index})" title="Update">
-              <span class="btn-icon">🔄</span>
-            </button>
-            <button class="btn btn-danger" onclick="deletePlayer(${index})" title="Delete">
-              <span class="btn-icon">🗑️</span>
-            </button>
-          </div>
-        </div>
-        <div class="player-card-body">
-          <div class="tier-info">
-            <div class="tier-icon ${player.tier.toLowerCase()}"></div>
-            <div class="tier-text ${RankUtils.getRankColorClass(player.tier)}">
-              ${RankUtils.formatRank(player.tier, player.division, player.lp)}
-            </div>
+  const before = captureState(true);
+  const competition = CompetitionUtils.create({ ...getDefaultSettings(), competitionName: name.trim() });
+  appState.competitions.push(competition);
+  recordOperation('add', `Created competition ${competition.settings.competitionName}`, before);
+  
+  switchCompetition(competition.id);
+  NotificationUtils.showSuccess(`${competition.settings.competitionName} created`);
+}
+
+/**
+ * Rename the active competition
+ */
+function renameCompetition() {
+  const name = prompt('Rename competition:', appState.settings.competitionName);
+  
+  if (name === null) return;
+  
+  if (!name.trim()) {
+    NotificationUtils.showError('Competition name is required');
+    return;
+  }
+  
+  const before = captureState();
+  const previousName = appState.settings.competitionName;
+  
+  appState.settings.competitionName = name.trim();
+  recordOperation('edit', `Renamed competition ${previousName} to ${appState.settings.competitionName}`, before);
+  saveAppState();
+  renderCurrentTab();
+  updateHeaderStats();
+}
+
+/**
+ * Delete the active competition with its roster, history and archive
+ */
+function deleteCompetition() {
+  if (appState.competitions.length <= 1) {
+    NotificationUtils.showError('The last competition cannot be deleted, use Clear All Data instead');
+    return;
+  }
+  
+  const name = appState.settings.competitionName;
+  
+  if (!confirm(`Delete "${name}" with all its players, history and archived seasons?`)) {
+    return;
+  }
+  
+  const before = captureState(true);
+  
+  const operation = recordOperation('delete', `Deleted competition ${name}`, before);
+  appState.competitions = appState.competitions.filter(c => c.id !== appState.activeCompetitionId);
+  activateCompetition(appState.competitions[0].id);
+  saveAppState();
+  
+  renderCurrentTab();
+  updateHeaderStats();
+  refreshLiveGames();
+  NotificationUtils.showUndo(`${name} deleted`, () => undo(operation.id));
+}
+
+/**
+ * Render the competition switcher in the header
+ */
+function renderCompetitionSwitcher() {
+  const switcher = document.getElementById('competitionSwitcher');
+  
+  if (!switcher) return;
+  
+  switcher.innerHTML = appState.competitions.map(competition => {
+    const settings = competition.id === appState.activeCompetitionId ? appState.settings : competition.settings;
+    return `<option value="${competition.id}">${settings.competitionName}</option>`;
+  }).join('');
+  switcher.value = appState.activeCompetitionId;
+}
+
+/**
+ * Record a rank history snapshot after a successful update
+ */
+function recordPlayerHistory(player) {
+  return HistoryUtils.recordSnapshot(appState.history, player, appState.settings.historyLimit);
+}
+
+/**
+ * Record history, baselines for queues a player just got ranked in, and
+ * achievements the update unlocked
+ */
+function trackPlayerUpdate(player) {
+  const entries = appState.history[player.id] || [];
+  const previous = entries[entries.length - 1];
+  
+  recordPlayerHistory(player);
+  PlayerUtils.recordMissingBaselines(player, appState.history[player.id]);
+  unlockAchievements(player, previous ? { ...player, queues: previous.queues } : null);
+}
+
+/**
+ * Fetch the games a player played since their last stored match and unlock
+ * the match achievements they earned. Returns the number of new games.
+ */
+async function syncPlayerMatches(player) {
+  const seasonStart = appState.settings.seasonStartedAt ?
+    Math.floor(Date.parse(appState.settings.seasonStartedAt) / 1000) :
+    null;
+  const stored = appState.matches[player.id];
+  const startTime = MatchUtils.getLatestStartTime(stored) || seasonStart;
+  
+  const matches = await apiManager.getRecentMatches(
+    player.riotId,
+    player.region,
+    MatchUtils.syncCount,
+    startTime,
+    MatchUtils.getRecentIds(stored)
+  );
+  const added = MatchUtils.mergeMatches(appState.matches, player.id, matches, appState.settings.matchLimit);
+  const achievements = getAchievements();
+  
+  AchievementUtils.detectMatchUnlocks(appState.achievements, player, added, achievements).forEach(id => {
+    const achievement = achievements.find(a => a.id === id);
+    NotificationUtils.showSuccess(`${achievement.icon} ${player.name} unlocked ${achievement.title}!`);
+  });
+  
+  return added.length;
+}
+
+/**
+ * Queue players for a match sync and work through the queue one player at a
+ * time without blocking the UI. Players deleted, or left behind by a
+ * competition switch, while queued are skipped.
+ */
+async function syncMatchesInBackground(players) {
+  players.forEach(player => matchSyncQueue.add(player.id));
+  
+  if (isSyncingMatches) return;
+  
+  isSyncingMatches = true;
+  const failed = [];
+  let synced = 0;
+  
+  try {
+    while (matchSyncQueue.size > 0) {
+      const [playerId] = matchSyncQueue;
+      matchSyncQueue.delete(playerId);
+      
+      const player = appState.players.find(p => p.id === playerId);
+      if (!player) continue;
+      
+      try {
+        synced += await syncPlayerMatches(player);
+      } catch (error) {
+        console.error(`Failed to sync matches of ${player.name}:`, error);
+        failed.push(player);
+      }
+    }
+  } finally {
+    isSyncingMatches = false;
+  }
+  
+  if (failed.length === 1) {
+    NotificationUtils.showWarning(`Couldn't fetch the recent games of ${failed[0].name}`);
+  } else if (failed.length > 1) {
+    NotificationUtils.showWarning(`Couldn't fetch recent games of ${failed.length} players`);
+  }
+  
+  if (synced > 0) {
+    saveAppState();
+    renderCurrentTab();
+  }
+}
+
+/**
+ * Link to the match that earned an achievement
+ */
+function renderMatchLink(matchId) {
+  const url = MatchUtils.getMatchUrl(matchId);
+  return url ? `<a class="match-link" href="${url}" target="_blank" rel="noopener">View match</a>` : '';
+}
+
+/**
+ * Built-in achievements plus the custom ones of the competition
+ */
+function getAchievements() {
+  return AchievementUtils.getAll(appState.customAchievements);
+}
+
+/**
+ * Store the "first to" achievements a player reached since their previous state
+ */
+function unlockAchievements(player, previous) {
+  const queueType = appState.settings.queue;
+  const achievements = getAchievements();
+  const unlocks = AchievementUtils.detectUnlocks(
+    appState.achievements,
+    previous ? PlayerUtils.withQueue(previous, queueType) : null,
+    PlayerUtils.withQueue(player, queueType),
+    player.lastUpdated || new Date().toISOString(),
+    achievements
+  );
+  
+  unlocks.forEach(id => {
+    const achievement = achievements.find(a => a.id === id);
+    NotificationUtils.showSuccess(`${achievement.icon} ${player.name} unlocked ${achievement.title}!`);
+  });
+  
+  return unlocks;
+}
+
+/**
+ * Check if the competition ranks by LP gained since the baselines
+ */
+function isClimbMode() {
+  return appState.settings.mode === 'climb';
+}
+
+/**
+ * Check if handicaps adjust the leaderboard scores. They only weigh progress
+ * (LP gained in Climb mode), never the absolute rank score.
+ */
+function isHandicapEnabled() {
+  return isClimbMode() && HandicapUtils.isEnabled(appState.settings.handicap);
+}
+
+/**
+ * Get players flattened with the rank data of the competition queue.
+ * With handicaps, score is the adjusted score and rawScore the one before.
+ */
+function getQueuePlayers(scoring = appState.settings.scoring) {
+  const handicapConfig = HandicapUtils.normalizeConfig(appState.settings.handicap);
+  
+  return appState.players.map(player => {
+    const queuePlayer = PlayerUtils.withQueue(player, appState.settings.queue);
+    queuePlayer.score = isClimbMode() ?
+      (queuePlayer.lpGained || 0) :
+      PlayerUtils.calculateScore(queuePlayer, scoring, appState.history[player.id]);
+    
+    if (isHandicapEnabled()) {
+      queuePlayer.rawScore = queuePlayer.score;
+      queuePlayer.handicap = HandicapUtils.getHandicap(queuePlayer, handicapConfig);
+      queuePlayer.score = HandicapUtils.apply(queuePlayer.rawScore, queuePlayer.handicap);
+    }
+    
+    return queuePlayer;
+  });
+}
+
+/**
+ * Score shown before any handicap (LP gained in Climb mode)
+ */
+function formatRawScore(player) {
+  if (isClimbMode()) {
+    return PlayerUtils.formatLpGained(player.lpGained);
+  }
+  return isHandicapEnabled() ? player.rawScore : player.score;
+}
+
+/**
+ * Sort players for the leaderboard: by score, players unranked in the queue go last
+ */
+function rankPlayers(players) {
+  return [...players].sort((a, b) => (b.ranked - a.ranked) || (b.score - a.score));
+}
+
+/**
+ * Initialize event listeners
+ */
+function initializeEventListeners() {
+  // Tab navigation
+  document.querySelectorAll('.nav-tab').forEach(tab => {
+    tab.addEventListener('click', (e) => {
+      const tabName = e.currentTarget.getAttribute('onclick').match(/'([^']+)'/)[1];
+      showTab(tabName);
+    });
+  });
+
+  // Modal close on outside click
+  document.addEventListener('click', (e) => {
+    if (e.target.classList.contains('modal')) {
+      closeAddPlayerModal();
+      closeEditPlayerModal();
+      closePlayerDetail();
+      closeBaselineModal();
+      closeCustomAchievementModal();
+      closeImportModal();
+      closeCsvImportModal();
+    }
+  });
+
+  // Form submission
+  document.getElementById('add-player-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    addPlayer();
+  });
+
+  // Escape key to close modal
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      closeAddPlayerModal();
+      closeEditPlayerModal();
+      closePlayerDetail();
+      closeBaselineModal();
+      closeCustomAchievementModal();
+      closeImportModal();
+      closeCsvImportModal();
+    }
+  });
+
+  // Undo/redo, except while typing where the browser undoes the text
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+    if (e.target.closest('input, textarea, select, [contenteditable]')) return;
+    
+    e.preventDefault();
+    if (e.shiftKey) {
+      redo();
+    } else {
+      undo();
+    }
+  });
+
+  // Only poll live games while the tab is visible
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+      stopLiveRefresh();
+    } else {
+      startLiveRefresh();
+    }
+  });
+}
+
+/**
+ * Tier <option>s from the ladder model
+ */
+function getTierOptions(selectedTier) {
+  return RankUtils.ladder.map(entry => 
+    `<option value="${entry.tier}"${entry.tier === selectedTier ? ' selected' : ''}>${entry.label}</option>`
+  ).join('');
+}
+
+/**
+ * Division <option>s from the ladder model
+ */
+function getDivisionOptions(selectedDivision) {
+  return RankUtils.divisions.map(division => 
+    `<option value="${division}"${division === selectedDivision ? ' selected' : ''}>${division}</option>`
+  ).join('');
+}
+
+/**
+ * Fill the add player rank selects
+ */
+function initializeRankSelects() {
+  const tierSelect = document.getElementById('currentTier');
+  const divisionSelect = document.getElementById('currentRank');
+  
+  if (!tierSelect || !divisionSelect) return;
+  
+  tierSelect.innerHTML = getTierOptions(RankUtils.ladder[0].tier);
+  divisionSelect.innerHTML = getDivisionOptions(RankUtils.divisions[0]);
+  tierSelect.addEventListener('change', updateRankFormFields);
+  updateRankFormFields();
+}
+
+/**
+ * Apex tiers have no division and uncapped LP
+ */
+function updateRankFormFields() {
+  const isApex = RankUtils.isApexTier(document.getElementById('currentTier').value);
+  const lpInput = document.getElementById('leaguePoints');
+  
+  document.getElementById('currentRank').disabled = isApex;
+  
+  if (isApex) {
+    lpInput.removeAttribute('max');
+  } else {
+    lpInput.max = RankUtils.lpPerDivision;
+  }
+}
+
+/**
+ * Show tab
+ */
+function showTab(tabName) {
+  // Update active tab
+  document.querySelectorAll('.nav-tab').forEach(tab => {
+    tab.classList.remove('active');
+  });
+  
+  document.querySelectorAll('.tab-content').forEach(content => {
+    content.classList.remove('active');
+  });
+  
+  // Show selected tab
+  const selectedTab = document.querySelector(`.nav-tab[onclick="showTab('${tabName}')"]`);
+  const selectedContent = document.getElementById(`${tabName}-tab`);
+  
+  if (selectedTab) selectedTab.classList.add('active');
+  if (selectedContent) selectedContent.classList.add('active');
+  
+  appState.currentTab = tabName;
+  renderCurrentTab();
+}
+
+/**
+ * Render current tab content
+ */
+function renderCurrentTab() {
+  switch (appState.currentTab) {
+    case 'leaderboard':
+      renderLeaderboard();
+      break;
+    case 'players':
+      renderPlayersTab();
+      break;
+    case 'achievements':
+      renderAchievements();
+      break;
+    case 'archive':
+      renderArchive();
+      break;
+    case 'settings':
+      renderSettings();
+      break;
+  }
+}
+
+/**
+ * Update header stats
+ */
+function updateHeaderStats() {
+  const totalPlayersEl = document.getElementById('totalPlayers');
+  const lastUpdatedEl = document.getElementById('lastUpdated');
+  
+  renderCompetitionSwitcher();
+  
+  if (totalPlayersEl) {
+    totalPlayersEl.textContent = appState.players.length;
+  }
+  
+  if (lastUpdatedEl) {
+    const lastUpdated = appState.players.reduce((latest, player) => {
+      const playerUpdated = new Date(player.lastUpdated || 0);
+      return playerUpdated > latest ? playerUpdated : latest;
+    }, new Date(0));
+    
+    lastUpdatedEl.textContent = lastUpdated.getTime() > 0 ? 
+      DateUtils.formatDate(lastUpdated.toISOString()) : 'Never';
+  }
+}
+
+/**
+ * Render leaderboard
+ */
+function renderLeaderboard() {
+  const leaderboardList = document.getElementById('leaderboard-list');
+  
+  if (!leaderboardList) return;
+  
+  const queueLabel = document.getElementById('leaderboardQueue');
+  if (queueLabel) {
+    const formula = isClimbMode() ? ScoringUtils.modes.climb : ScoringUtils.getLabel(appState.settings.scoring);
+    queueLabel.textContent = `${RankUtils.getQueueLabel(appState.settings.queue)} · ${formula}`;
+  }
+  
+  const scoreLabel = document.getElementById('leaderboardScoreLabel');
+  if (scoreLabel) {
+    scoreLabel.textContent = isClimbMode() ? 'LP Gained' : 'Score';
+  }
+  
+  const container = document.getElementById('leaderboardContainer');
+  if (container) {
+    container.classList.toggle('with-handicap', isHandicapEnabled());
+  }
+  
+  if (appState.players.length === 0) {
+    leaderboardList.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-icon">👥</div>
+        <h3>No players yet</h3>
+        <p>Add your first player to get started!</p>
+        <button class="btn btn-primary" onclick="showTab('players')">Add Player</button>
+      </div>
+    `;
+    return;
+  }
+  
+  const sortedPlayers = rankPlayers(getQueuePlayers());
+  
+  leaderboardList.innerHTML = sortedPlayers.map((player, index) => {
+    const rank = index + 1;
+    const totalGames = player.wins + player.losses;
+    const winRate = totalGames > 0 ? Math.round((player.wins / totalGames) * 100) : 0;
+    const score = formatRawScore(player);
+    
+    return `
+      <div class="leaderboard-item">
+        <div class="rank-badge rank-${rank <= 3 ? rank : 'other'}">
+          ${rank}
+        </div>
+        <div class="player-info">
+          <div class="player-avatar">
+            ${PlayerUtils.getInitials(player.name)}
+          </div>
+          <div class="player-details">
+            <div class="player-name">${player.name}</div>
+            <div class="player-id">${player.riotId}</div>
+            <div class="live-badge-slot" data-player-id="${player.id}">${renderLiveBadge(player.id)}</div>
+          </div>
+        </div>
+        <div class="tier-info">
+          <div class="tier-icon ${player.tier.toLowerCase()}"></div>
+          <div class="tier-text ${RankUtils.getRankColorClass(player.tier)}">
+            ${RankUtils.formatRank(player.tier, player.division, player.lp)}
+          </div>
+        </div>
+        <div class="lp-value">${player.lp || 0}</div>
+        <div class="winrate-bar">
+          <div class="winrate-fill" style="width: ${winRate}%"></div>
+          <div class="winrate-text">${winRate}%</div>
+        </div>
+        <div class="games-count">${totalGames}</div>
+        <div class="score-value">${score}</div>
+        ${isHandicapEnabled() ? `
+          <div class="handicap-value">${HandicapUtils.format(player.handicap)}</div>
+          <div class="adjusted-value">${player.score}</div>
+        ` : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Render players tab
+ */
+function renderPlayersTab() {
+  const playersGrid = document.getElementById('players-grid');
+  
+  if (!playersGrid) return;
+  
+  if (appState.players.length === 0) {
+    playersGrid.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-icon">👥</div>
+        <h3>No players yet</h3>
+        <p>Add your first player to start tracking!</p>
+        <button class="btn btn-primary" onclick="showAddPlayerModal()">Add Player</button>
+      </div>
+    `;
+    return;
+  }
+  
+  playersGrid.innerHTML = getQueuePlayers().map((player, index) => {
+    const winRate = PlayerUtils.formatWinRate(player.wins, player.losses);
+    const score = formatRawScore(player);
+    const otherQueues = Object.keys(player.queues).filter(queueType => queueType !== player.queueType);
+    
+    return `
+      <div class="player-card" onclick="showPlayerDetail('${player.id}')">
+        <div class="player-card-header">
+          <div class="player-info">
+            <div class="player-avatar">
+              ${PlayerUtils.getInitials(player.name)}
+            </div>
+            <div class="player-details">
+              <div class="player-name">${player.name}</div>
+              <div class="player-id">${player.riotId}</div>
+              <div class="live-badge-slot" data-player-id="${player.id}">${renderLiveBadge(player.id)}</div>
+            </div>
+          </div>
+          <div class="player-card-actions">
+            <button class="btn btn-secondary" onclick="event.stopPropagation(); showEditPlayerModal('${player.id}')" title="Edit">
+              <span class="btn-icon">✏️</span>
+            </button>
+            <button class="btn btn-secondary" onclick="event.stopPropagation(); updateSinglePlayer(${index})" title="Update">
+              <span class="btn-icon">🔄</span>
+            </button>
+            <button class="btn btn-danger" onclick="event.stopPropagation(); deletePlayer(${index})" title="Delete">
+              <span class="btn-icon">🗑️</span>
+            </button>
+          </div>
+        </div>
+        <div class="player-card-body">
+          <div class="tier-info">
+            <div class="tier-icon ${player.tier.toLowerCase()}"></div>
+            <div class="tier-text ${RankUtils.getRankColorClass(player.tier)}">
+              ${RankUtils.formatRank(player.tier, player.division, player.lp)}
+            </div>
+          </div>
+          <div class="player-stats">
+            <div class="stat-box">
+              <div class="stat-box-value">${player.wins}</div>
+              <div class="stat-box-label">Wins</div>
+            </div>
+            <div class="stat-box">
+              <div class="stat-box-value">${player.losses}</div>
+              <div class="stat-box-label">Losses</div>
+            </div>
+            <div class="stat-box">
+              <div class="stat-box-value">${winRate}</div>
+              <div class="stat-box-label">Win Rate</div>
+            </div>
+            <div class="stat-box">
+              <div class="stat-box-value">${score}</div>
+              <div class="stat-box-label">${isClimbMode() ? 'LP Gained' : 'Score'}</div>
+            </div>
+          </div>
+          <div class="baseline-info">
+            <span class="text-muted">Baseline:</span>
+            <span class="${player.baseline ? RankUtils.getRankColorClass(player.baseline.tier) : 'text-muted'}">
+              ${player.baseline ? RankUtils.formatRank(player.baseline.tier, player.baseline.division, player.baseline.lp) : 'Not set'}
+            </span>
+            <span class="baseline-gained">
+              ${PlayerUtils.formatLpGained(player.lpGained)}
+              ${isHandicapEnabled() ? ` · ${HandicapUtils.format(player.handicap)} → ${player.score}` : ''}
+            </span>
+            <button class="btn btn-secondary baseline-edit" onclick="event.stopPropagation(); showBaselineModal('${player.id}')" title="Edit baseline">
+              <span class="btn-icon">✏️</span>
+            </button>
+          </div>
+          ${otherQueues.length > 0 ? `
+            <div class="queue-list">
+              ${otherQueues.map(queueType => {
+                const queueData = player.queues[queueType];
+                return `
+                  <div class="queue-item">
+                    <span class="queue-label">${RankUtils.getQueueLabel(queueType)}</span>
+                    <span class="${RankUtils.getRankColorClass(queueData.tier)}">
+                      ${RankUtils.formatRank(queueData.tier, queueData.division, queueData.lp)}
+                    </span>
+                  </div>
+                `;
+              }).join('')}
+            </div>
+          ` : ''}
+          <div class="recent-games" id="recent-games-${player.id}">
+            ${renderRecentGames(player.id)}
+          </div>
+          <div class="player-meta">
+            <small class="text-muted">
+              Last updated: ${DateUtils.formatDate(player.lastUpdated)}
+            </small>
+          </div>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Render the recent games section of a player card
+ */
+function renderRecentGames(playerId) {
+  const entry = recentGames[playerId];
+  
+  if (!entry) {
+    return `
+      <button class="btn btn-secondary recent-games-toggle" onclick="event.stopPropagation(); loadRecentGames('${playerId}')">
+        <span class="btn-icon">🎮</span>
+        Recent games
+      </button>
+    `;
+  }
+  
+  if (entry.loading) {
+    return `<small class="text-muted">Loading recent games...</small>`;
+  }
+  
+  if (entry.matches.length === 0) {
+    return `<small class="text-muted">No recent games found</small>`;
+  }
+  
+  return `
+    <div class="recent-games-title">Recent games</div>
+    ${entry.matches.map(match => `
+      <div class="recent-game ${match.win ? 'win' : 'loss'}" title="${new Date(match.playedAt).toLocaleString()}">
+        <span class="recent-game-champion">${match.champion}</span>
+        <span class="recent-game-role text-muted">${MatchUtils.getRoleName(match.role)}</span>
+        <span class="recent-game-kda">${MatchUtils.formatKda(match.kills, match.deaths, match.assists)}</span>
+        <span class="recent-game-cs text-muted">${match.cs} CS</span>
+        <span class="recent-game-meta text-muted">
+          ${MatchUtils.getQueueName(match.queueId)} · ${MatchUtils.formatDuration(match.duration)}
+        </span>
+      </div>
+    `).join('')}
+  `;
+}
+
+/**
+ * Load recent games for a player card
+ */
+async function loadRecentGames(playerId) {
+  const player = appState.players.find(p => p.id === playerId);
+  
+  if (!player) return;
+  
+  const updateSection = () => {
+    const section = document.getElementById(`recent-games-${playerId}`);
+    if (section) {
+      section.innerHTML = renderRecentGames(playerId);
+    }
+  };
+  
+  recentGames[playerId] = { loading: true, matches: [] };
+  updateSection();
+  
+  try {
+    const matches = await apiManager.getRecentMatches(player.riotId, player.region, 5);
+    recentGames[playerId] = { loading: false, matches };
+  } catch (error) {
+    console.error('Failed to load recent games:', error);
+    delete recentGames[playerId];
+    NotificationUtils.showError(`Failed to load recent games for ${player.name}: ${error.message}`);
+  }
+  
+  updateSection();
+}
+
+/**
+ * Render the pulsing "In game" badge of a player
+ */
+function renderLiveBadge(playerId) {
+  const game = liveGames[playerId];
+  
+  if (!game) return '';
+  
+  const champion = game.champion || `Champion ${game.championId}`;
+  const queueName = MatchUtils.getQueueName(game.queueId);
+  // gameStartTime is 0 while players are in the loading screen
+  const duration = game.gameStartTime > 0 ?
+    `${Math.floor((Date.now() - game.gameStartTime) / 60000)} min` :
+    'Loading';
+  
+  return `
+    <span class="live-badge" title="In game: ${champion}, ${queueName}, ${duration}">
+      <span class="live-dot"></span>
+      In game · ${champion} · ${queueName} · ${duration}
+    </span>
+  `;
+}
+
+/**
+ * Update the live badges currently on the page
+ */
+function updateLiveBadges() {
+  document.querySelectorAll('.live-badge-slot').forEach(slot => {
+    slot.innerHTML = renderLiveBadge(slot.dataset.playerId);
+  });
+}
+
+/**
+ * Check which players are in a game right now
+ */
+async function refreshLiveGames() {
+  if (isRefreshingLive || appState.players.length === 0) return;
+  
+  isRefreshingLive = true;
+  
+  const players = [...appState.players];
+  
+  try {
+    // A few players at a time, so a large roster doesn't burst the spectator limit
+    for (let start = 0; start < players.length; start += ApiConfig.liveConcurrency) {
+      await Promise.all(players.slice(start, start + ApiConfig.liveConcurrency).map(async (player) => {
+        try {
+          const game = await apiManager.getLiveGame(player);
+          
+          if (game) {
+            liveGames[player.id] = game;
+          } else {
+            delete liveGames[player.id];
+          }
+        } catch (error) {
+          // Keep the last known state, the next refresh tries again
+          console.error(`Failed to check live game for ${player.name}:`, error);
+        }
+      }));
+    }
+  } finally {
+    isRefreshingLive = false;
+  }
+  
+  updateLiveBadges();
+}
+
+/**
+ * Refresh live games now and then periodically
+ */
+function startLiveRefresh() {
+  stopLiveRefresh();
+  refreshLiveGames();
+  liveRefreshTimer = setInterval(refreshLiveGames, ApiConfig.liveRefreshInterval);
+}
+
+/**
+ * Stop refreshing live games (page hidden)
+ */
+function stopLiveRefresh() {
+  if (liveRefreshTimer) {
+    clearInterval(liveRefreshTimer);
+    liveRefreshTimer = null;
+  }
+}
+
+/**
+ * Show player detail view with rank progression chart
+ */
+function showPlayerDetail(playerId) {
+  const player = PlayerUtils.withQueue(
+    appState.players.find(p => p.id === playerId) || {},
+    appState.settings.queue
+  );
+  
+  if (!player.id) return;
+  
+  closePlayerDetail();
+  
+  const otherPlayers = appState.players.filter(p => p.id !== playerId);
+  
+  const modal = document.createElement('div');
+  modal.id = 'player-detail-modal';
+  modal.className = 'modal active';
+  modal.innerHTML = `
+    <div class="modal-content modal-wide">
+      <div class="modal-header">
+        <div class="player-info">
+          <div class="player-avatar">
+            ${PlayerUtils.getInitials(player.name)}
           </div>
-          <div class="player-stats">
-            <div class="stat-box">
-              <div class="stat-box-value">${player.wins}</div>
-              <div class="stat-box-label">Wins</div>
-            </div>
-            <div class="stat-box">
-              <div class="stat-box-value">${player.losses}</div>
-              <div class="stat-box-label">Losses</div>
-            </div>
-            <div class="stat-box">
-              <div class="stat-box-value">${winRate}</div>
-              <div class="stat-box-label">Win Rate</div>
-            </div>
-            <div class="stat-box">
-              <div class="stat-box-value">${score}</div>
-              <div class="stat-box-label">Score</div>
+          <div class="player-details">
+            <div class="player-name">${player.name}</div>
+            <div class="player-id">${player.riotId}</div>
+          </div>
+        </div>
+        <button class="modal-close" onclick="closePlayerDetail()">&times;</button>
+      </div>
+      <div class="modal-body">
+        <div class="tier-info">
+          <div class="tier-icon ${player.tier.toLowerCase()}"></div>
+          <div class="tier-text ${RankUtils.getRankColorClass(player.tier)}">
+            ${RankUtils.formatRank(player.tier, player.division, player.lp)}
+          </div>
+          <span class="text-muted">${RankUtils.getQueueLabel(appState.settings.queue)}</span>
+        </div>
+        <div id="rank-chart" class="rank-chart"></div>
+        ${otherPlayers.length > 0 ? `
+          <div class="form-group">
+            <label>Compare with</label>
+            <div class="compare-list">
+              ${otherPlayers.map(p => `
+                <label class="compare-option">
+                  <input type="checkbox" class="compare-toggle" value="${p.id}"
+                         onchange="renderPlayerDetailChart('${playerId}')">
+                  ${p.name}
+                </label>
+              `).join('')}
             </div>
           </div>
-          <div class="player-meta">
-            <small class="text-muted">
-              Last updated: ${DateUtils.formatDate(player.lastUpdated)}
-            </small>
+        ` : ''}
+      </div>
+    </div>
+  `;
+  
+  document.body.appendChild(modal);
+  renderPlayerDetailChart(playerId);
+}
+
+/**
+ * Render the detail chart for a player and any players selected for comparison
+ */
+function renderPlayerDetailChart(playerId) {
+  const compareIds = Array.from(document.querySelectorAll('#player-detail-modal .compare-toggle:checked'))
+    .map(input => input.value);
+  
+  const series = [playerId, ...compareIds]
+    .map(id => appState.players.find(p => p.id === id))
+    .filter(Boolean)
+    .map((player, index) => RankChart.buildSeries(
+      player,
+      appState.history[player.id],
+      appState.settings.queue,
+      RankChart.seriesColors[index % RankChart.seriesColors.length]
+    ));
+  
+  RankChart.render('rank-chart', series);
+}
+
+/**
+ * Close player detail view
+ */
+function closePlayerDetail() {
+  const modal = document.getElementById('player-detail-modal');
+  if (modal) {
+    modal.remove();
+  }
+}
+
+/**
+ * Show the baseline and handicap editor of a player (competition queue)
+ */
+function showBaselineModal(playerId) {
+  const player = appState.players.find(p => p.id === playerId);
+  
+  if (!player) return;
+  
+  closeBaselineModal();
+  
+  const queueType = appState.settings.queue;
+  const baseline = PlayerUtils.getBaseline(player, queueType) ||
+    PlayerUtils.getQueueData(player, queueType) ||
+    { tier: RankUtils.ladder[0].tier, division: RankUtils.divisions[0], lp: 0 };
+  
+  const modal = document.createElement('div');
+  modal.id = 'baseline-modal';
+  modal.className = 'modal active';
+  modal.innerHTML = `
+    <div class="modal-content">
+      <div class="modal-header">
+        <h3>Baseline & Handicap for ${player.name}</h3>
+        <button class="modal-close" onclick="closeBaselineModal()">&times;</button>
+      </div>
+      <div class="modal-body">
+        <p class="text-muted">
+          Climb mode ranks players by LP gained in ${RankUtils.getQueueLabel(queueType)} since this rank.
+        </p>
+        <div class="form-row">
+          <div class="form-group">
+            <label for="baselineTier">Tier</label>
+            <select id="baselineTier" onchange="updateBaselineFormFields()">
+              ${getTierOptions(baseline.tier)}
+            </select>
           </div>
+          <div class="form-group">
+            <label for="baselineDivision">Division</label>
+            <select id="baselineDivision">
+              ${getDivisionOptions(baseline.division)}
+            </select>
+          </div>
+        </div>
+        <div class="form-group">
+          <label for="baselineLp">League Points</label>
+          <input type="number" id="baselineLp" min="0" value="${baseline.lp || 0}">
+        </div>
+        <div class="form-group">
+          <label for="handicapOverride">Handicap (empty: by starting tier)</label>
+          <input type="number" id="handicapOverride" min="0.1" max="10" step="0.05"
+                 value="${typeof player.handicapOverride === 'number' ? player.handicapOverride : ''}">
         </div>
       </div>
+      <div class="modal-footer">
+        <button class="btn btn-secondary" onclick="closeBaselineModal()">Cancel</button>
+        <button class="btn btn-secondary" onclick="saveBaseline('${player.id}', true)">Use Current Rank</button>
+        <button class="btn btn-primary" onclick="saveBaseline('${player.id}')">Save Baseline</button>
+      </div>
+    </div>
+  `;
+  
+  document.body.appendChild(modal);
+  updateBaselineFormFields();
+}
+
+/**
+ * Apex baselines have no division and uncapped LP
+ */
+function updateBaselineFormFields() {
+  const isApex = RankUtils.isApexTier(document.getElementById('baselineTier').value);
+  const lpInput = document.getElementById('baselineLp');
+  
+  document.getElementById('baselineDivision').disabled = isApex;
+  
+  if (isApex) {
+    lpInput.removeAttribute('max');
+  } else {
+    lpInput.max = RankUtils.lpPerDivision;
+  }
+}
+
+/**
+ * Save a player's baseline from the editor, or from their current rank
+ */
+function saveBaseline(playerId, useCurrentRank = false) {
+  const player = appState.players.find(p => p.id === playerId);
+  
+  if (!player) return;
+  
+  const queueType = appState.settings.queue;
+  const handicapInput = document.getElementById('handicapOverride').value.trim();
+  const handicapOverride = handicapInput === '' ? null : parseFloat(handicapInput);
+  let baseline;
+  
+  if (handicapOverride !== null) {
+    const handicapError = ValidationUtils.validateNumber(handicapOverride, 0.1, 10, 'Handicap');
+    if (handicapError) {
+      NotificationUtils.showError(handicapError);
+      return;
+    }
+  }
+  
+  if (useCurrentRank) {
+    baseline = PlayerUtils.getQueueData(player, queueType);
+    if (!baseline) {
+      NotificationUtils.showError(`${player.name} is unranked in ${RankUtils.getQueueLabel(queueType)}`);
+      return;
+    }
+  } else {
+    const tier = document.getElementById('baselineTier').value;
+    const lp = parseInt(document.getElementById('baselineLp').value);
+    const isApex = RankUtils.isApexTier(tier);
+    const lpError = isApex ?
+      ValidationUtils.validateNumber(lp, 0, Number.MAX_SAFE_INTEGER, 'League Points') :
+      ValidationUtils.validateNumber(lp, 0, RankUtils.lpPerDivision, 'League Points');
+    
+    if (lpError) {
+      NotificationUtils.showError(lpError);
+      return;
+    }
+    
+    baseline = {
+      tier,
+      division: isApex ? 'I' : document.getElementById('baselineDivision').value,
+      lp
+    };
+  }
+  
+  const before = captureState();
+  
+  PlayerUtils.setBaseline(player, queueType, baseline);
+  if (handicapOverride === null) {
+    delete player.handicapOverride;
+  } else {
+    player.handicapOverride = handicapOverride;
+  }
+  recordOperation('edit', `Edited the baseline of ${player.name}`, before);
+  saveAppState();
+  closeBaselineModal();
+  renderCurrentTab();
+  NotificationUtils.showSuccess(`Baseline for ${player.name} saved`);
+}
+
+/**
+ * Close the baseline editor
+ */
+function closeBaselineModal() {
+  const modal = document.getElementById('baseline-modal');
+  if (modal) {
+    modal.remove();
+  }
+}
+
+/**
+ * Start a new climb: every player's current rank becomes their baseline
+ */
+function resetAllBaselines() {
+  if (!confirm('Use every player\'s current rank as their new baseline? LP gained restarts from zero.')) {
+    return;
+  }
+  
+  const before = captureState();
+  
+  appState.players.forEach(PlayerUtils.resetBaselines);
+  recordOperation('edit', 'Reset all baselines to current ranks', before);
+  saveAppState();
+  renderCurrentTab();
+  NotificationUtils.showSuccess('Baselines reset to current ranks');
+}
+
+/**
+ * Render achievements
+ */
+function renderAchievements() {
+  const achievementsGrid = document.getElementById('achievements-grid');
+  
+  if (!achievementsGrid) return;
+  
+  const achievements = getAchievements();
+  const earnedAchievements = AchievementUtils.checkAchievements(
+    getQueuePlayers(),
+    appState.achievements,
+    appState.history,
+    achievements,
+    appState.matches
+  );
+  
+  achievementsGrid.innerHTML = achievements.map(achievement => {
+    const isEarned = earnedAchievements[achievement.id];
+    
+    return `
+      <div class="achievement-card ${isEarned ? 'earned' : ''} ${achievement.custom ? 'custom' : ''}">
+        ${achievement.custom ? `
+          <div class="achievement-actions">
+            <button class="btn btn-secondary" onclick="showCustomAchievementModal('${achievement.id}')" title="Edit">
+              <span class="btn-icon">✏️</span>
+            </button>
+            <button class="btn btn-danger" onclick="deleteCustomAchievement('${achievement.id}')" title="Delete">
+              <span class="btn-icon">🗑️</span>
+            </button>
+          </div>
+        ` : ''}
+        <div class="achievement-icon">${achievement.icon}</div>
+        <div class="achievement-title">${achievement.title}</div>
+        <div class="achievement-description">${achievement.description}</div>
+        ${isEarned ? `
+          <div class="achievement-earned-by">
+            ${isEarned.earnedAt ? 
+              `Unlocked by ${isEarned.earnedBy} on ${new Date(isEarned.earnedAt).toLocaleString()}` :
+              `Held by ${isEarned.earnedBy}`}
+            ${renderMatchLink(isEarned.matchId)}
+          </div>
+        ` : ''}
+      </div>
     `;
   }).join('');
+  
+  renderAchievementTimeline();
+}
+
+/**
+ * Render the stored achievement unlocks in the order they happened
+ */
+function renderAchievementTimeline() {
+  const timeline = document.getElementById('achievements-timeline');
+  
+  if (!timeline) return;
+  
+  const unlocks = AchievementUtils.getTimeline(appState.achievements, getAchievements());
+  
+  if (unlocks.length === 0) {
+    timeline.innerHTML = '<p class="text-muted">No achievements unlocked yet this season.</p>';
+    return;
+  }
+  
+  timeline.innerHTML = unlocks.map(unlock => {
+    const holder = appState.players.find(p => p.id === unlock.playerId);
+    
+    return `
+      <div class="timeline-item">
+        <span class="timeline-date">${new Date(unlock.earnedAt).toLocaleString()}</span>
+        <span class="timeline-icon">${unlock.icon}</span>
+        <span class="timeline-text">
+          <strong>${holder ? holder.name : unlock.earnedBy}</strong> unlocked ${unlock.title}
+        </span>
+        ${renderMatchLink(unlock.matchId)}
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Show the editor of a custom achievement (a new one without ID)
+ */
+function showCustomAchievementModal(achievementId = null) {
+  const existing = appState.customAchievements.find(a => a.id === achievementId);
+  const definition = existing || { title: '', icon: '⭐', description: '', field: 'winRate', operator: '>=', value: 60, mode: 'highest' };
+  
+  closeCustomAchievementModal();
+  
+  const modal = document.createElement('div');
+  modal.id = 'custom-achievement-modal';
+  modal.className = 'modal active';
+  modal.innerHTML = `
+    <div class="modal-content">
+      <div class="modal-header">
+        <h3>${existing ? 'Edit' : 'Create'} Achievement</h3>
+        <button class="modal-close" onclick="closeCustomAchievementModal()">&times;</button>
+      </div>
+      <div class="modal-body">
+        <div class="form-row">
+          <div class="form-group">
+            <label for="customAchievementTitle">Title</label>
+            <input type="text" id="customAchievementTitle" placeholder="Hardstuck Hero" value="${definition.title}">
+          </div>
+          <div class="form-group">
+            <label for="customAchievementIcon">Icon</label>
+            <input type="text" id="customAchievementIcon" maxlength="4" value="${definition.icon}">
+          </div>
+        </div>
+        <div class="form-group">
+          <label for="customAchievementDescription">Description (empty: describe the rule)</label>
+          <input type="text" id="customAchievementDescription" value="${definition.description}">
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label for="customAchievementMode">Awarded to</label>
+            <select id="customAchievementMode">
+              ${Object.entries(AchievementUtils.customModes).map(([mode, label]) => 
+                `<option value="${mode}" ${mode === definition.mode ? 'selected' : ''}>${label}</option>`
+              ).join('')}
+            </select>
+          </div>
+          <div class="form-group">
+            <label for="customAchievementField">Field</label>
+            <select id="customAchievementField" onchange="updateCustomAchievementValue()">
+              ${Object.entries(AchievementUtils.customFields).map(([field, { label }]) => 
+                `<option value="${field}" ${field === definition.field ? 'selected' : ''}>${label}</option>`
+              ).join('')}
+            </select>
+          </div>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label for="customAchievementOperator">Comparison</label>
+            <select id="customAchievementOperator">
+              ${Object.entries(AchievementUtils.operators).map(([operator, { label }]) => 
+                `<option value="${operator}" ${operator === definition.operator ? 'selected' : ''}>${label}</option>`
+              ).join('')}
+            </select>
+          </div>
+          <div class="form-group" id="customAchievementValueGroup">
+            <!-- Filled by updateCustomAchievementValue() -->
+          </div>
+        </div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-secondary" onclick="closeCustomAchievementModal()">Cancel</button>
+        <button class="btn btn-primary" onclick="saveCustomAchievement(${existing ? `'${existing.id}'` : ''})">Save Achievement</button>
+      </div>
+    </div>
+  `;
+  
+  document.body.appendChild(modal);
+  updateCustomAchievementValue(definition.value);
+}
+
+/**
+ * Value input matching the selected field: a tier, yes/no or a number
+ */
+function updateCustomAchievementValue(value) {
+  const group = document.getElementById('customAchievementValueGroup');
+  const field = document.getElementById('customAchievementField').value;
+  const label = '<label for="customAchievementValue">Value</label>';
+  
+  if (field === 'tier') {
+    group.innerHTML = `${label}<select id="customAchievementValue">${getTierOptions(value || 'GOLD')}</select>`;
+  } else if (field === 'hotStreak') {
+    group.innerHTML = `${label}
+      <select id="customAchievementValue">
+        <option value="true" ${value === 'true' ? 'selected' : ''}>Yes</option>
+        <option value="false" ${value === 'false' ? 'selected' : ''}>No</option>
+      </select>`;
+  } else {
+    group.innerHTML = `${label}<input type="number" id="customAchievementValue" value="${isNaN(parseFloat(value)) ? 0 : value}">`;
+  }
+}
+
+/**
+ * Save the custom achievement from the editor
+ */
+function saveCustomAchievement(achievementId = null) {
+  const definition = AchievementUtils.normalizeDefinition({
+    id: achievementId,
+    title: document.getElementById('customAchievementTitle').value,
+    icon: document.getElementById('customAchievementIcon').value,
+    description: document.getElementById('customAchievementDescription').value,
+    mode: document.getElementById('customAchievementMode').value,
+    field: document.getElementById('customAchievementField').value,
+    operator: document.getElementById('customAchievementOperator').value,
+    value: document.getElementById('customAchievementValue').value
+  });
+  
+  if (!definition) {
+    NotificationUtils.showError('Title is required');
+    return;
+  }
+  
+  const before = captureState();
+  const index = appState.customAchievements.findIndex(a => a.id === definition.id);
+  
+  if (index >= 0) {
+    appState.customAchievements[index] = definition;
+    // A changed rule may be reached by someone else
+    delete appState.achievements[definition.id];
+  } else {
+    appState.customAchievements.push(definition);
+  }
+  
+  AchievementUtils.backfillUnlocks(appState.achievements, appState.players, appState.history, appState.settings.queue, getAchievements());
+  recordOperation(index >= 0 ? 'edit' : 'add', `${index >= 0 ? 'Edited' : 'Created'} achievement ${definition.title}`, before);
+  saveAppState();
+  closeCustomAchievementModal();
+  renderAchievements();
+  NotificationUtils.showSuccess(`${definition.icon} ${definition.title} saved`);
+}
+
+/**
+ * Delete a custom achievement and its unlock
+ */
+function deleteCustomAchievement(achievementId) {
+  const definition = appState.customAchievements.find(a => a.id === achievementId);
+  
+  if (!definition) return;
+  
+  if (confirm(`Delete the achievement "${definition.title}"?`)) {
+    const before = captureState();
+    
+    appState.customAchievements = appState.customAchievements.filter(a => a.id !== achievementId);
+    delete appState.achievements[achievementId];
+    const operation = recordOperation('delete', `Deleted achievement ${definition.title}`, before);
+    saveAppState();
+    renderAchievements();
+    NotificationUtils.showUndo(`${definition.title} deleted`, () => undo(operation.id));
+  }
+}
+
+/**
+ * Close the custom achievement editor
+ */
+function closeCustomAchievementModal() {
+  const modal = document.getElementById('custom-achievement-modal');
+  if (modal) {
+    modal.remove();
+  }
+}
+
+/**
+ * Archive the current season and start a new one with the same roster
+ */
+function startNewSeason() {
+  const season = prompt(
+    `End "${appState.settings.season}" and archive its final standings? Enter the name of the new season:`,
+    SeasonUtils.getNextSeasonName(appState.settings.season)
+  );
+  
+  if (season === null) return;
+  
+  if (!season.trim()) {
+    NotificationUtils.showError('Season name is required');
+    return;
+  }
+  
+  const before = captureState();
+  const queuePlayers = getQueuePlayers();
+  const entry = SeasonUtils.createArchiveEntry(
+    appState.settings,
+    rankPlayers(queuePlayers),
+    AchievementUtils.checkAchievements(queuePlayers, appState.achievements, appState.history, getAchievements(), appState.matches)
+  );
+  
+  appState.archive.push(entry);
+  
+  // Keep the roster, everything else starts over from the current ranks
+  appState.achievements = {};
+  appState.history = {};
+  appState.matches = {};
+  appState.players.forEach(player => {
+    PlayerUtils.resetBaselines(player);
+    recordPlayerHistory(player);
+  });
+  appState.settings.season = season.trim();
+  appState.settings.seasonStartedAt = entry.endedAt;
+  
+  recordOperation('edit', `Archived ${entry.season} and started ${appState.settings.season}`, before);
+  saveAppState();
+  renderCurrentTab();
+  NotificationUtils.showSuccess(`${entry.season} archived, ${appState.settings.season} started!`);
 }
 
 /**
- * Render achievements
+ * Render the final standings and champions of past seasons
  */
-function renderAchievements() {
-  const achievementsGrid = document.getElementById('achievements-grid');
+function renderArchive() {
+  const archiveList = document.getElementById('archive-list');
   
-  if (!achievementsGrid) return;
+  if (!archiveList) return;
   
-  const earnedAchievements = AchievementUtils.checkAchievements(appState.players);
+  if (appState.archive.length === 0) {
+    archiveList.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-icon">📜</div>
+        <h3>No archived seasons yet</h3>
+        <p>Start a new season in the settings to archive the current standings.</p>
+      </div>
+    `;
+    return;
+  }
   
-  achievementsGrid.innerHTML = AchievementUtils.achievements.map(achievement => {
-    const isEarned = earnedAchievements[achievement.id];
+  archiveList.innerHTML = [...appState.archive].reverse().map(entry => {
+    const achievements = Object.values(entry.achievements);
+    const isClimb = entry.mode === 'climb';
     
     return `
-      <div class="achievement-card ${isEarned ? 'earned' : ''}">
-        <div class="achievement-icon">${achievement.icon}</div>
-        <div class="achievement-title">${achievement.title}</div>
-        <div class="achievement-description">${achievement.description}</div>
-        ${isEarned ? `
-          <div class="achievement-earned-by">
-            Earned by ${isEarned.earnedBy}
+      <div class="archive-card">
+        <div class="archive-header">
+          <div>
+            <h3>${entry.season}</h3>
+            <div class="archive-meta">
+              ${entry.competitionName} · ${RankUtils.getQueueLabel(entry.queue)} ·
+              ${isClimb ? ScoringUtils.modes.climb : entry.scoringLabel} ·
+              ${entry.startedAt ? `${new Date(entry.startedAt).toLocaleDateString()} – ` : 'ended '}${new Date(entry.endedAt).toLocaleDateString()}
+            </div>
+          </div>
+          <button class="btn btn-danger" onclick="deleteArchivedSeason('${entry.id}')" title="Delete season">
+            <span class="btn-icon">🗑️</span>
+          </button>
+        </div>
+        <div class="archive-champion">
+          ${entry.champion ? `
+            <span class="archive-champion-icon">👑</span>
+            <span class="archive-champion-name">${entry.champion.name}</span>
+            <span class="${RankUtils.getRankColorClass(entry.champion.tier)}">
+              ${RankUtils.formatRank(entry.champion.tier, entry.champion.division, entry.champion.lp)}
+            </span>
+          ` : '<span class="text-muted">No champion (nobody was ranked)</span>'}
+        </div>
+        <div class="archive-standings">
+          ${entry.standings.map(standing => `
+            <div class="archive-standing">
+              <span class="archive-standing-rank">#${standing.rank}</span>
+              <span class="archive-standing-name">${standing.name}</span>
+              <span class="${RankUtils.getRankColorClass(standing.tier)}">
+                ${RankUtils.formatRank(standing.tier, standing.division, standing.lp)}
+              </span>
+              <span class="archive-standing-score">
+                ${isClimb ? PlayerUtils.formatLpGained(standing.lpGained) : standing.rawScore}
+                ${standing.handicap !== null ? ` ${HandicapUtils.format(standing.handicap)} → ${standing.score}` : ''}
+              </span>
+            </div>
+          `).join('')}
+        </div>
+        ${achievements.length > 0 ? `
+          <div class="archive-achievements">
+            ${achievements.map(achievement => `
+              <span class="archive-achievement" title="${achievement.title}">
+                ${achievement.icon} ${achievement.title}: ${achievement.earnedBy}
+                ${renderMatchLink(achievement.matchId)}
+              </span>
+            `).join('')}
           </div>
         ` : ''}
       </div>
@@ -326,13 +1806,35 @@ function renderAchievements() {
   }).join('');
 }
 
+/**
+ * Delete an archived season
+ */
+function deleteArchivedSeason(entryId) {
+  const entry = appState.archive.find(e => e.id === entryId);
+  
+  if (!entry) return;
+  
+  if (confirm(`Delete the archive of ${entry.season}?`)) {
+    const before = captureState();
+    
+    appState.archive = appState.archive.filter(e => e.id !== entryId);
+    const operation = recordOperation('delete', `Deleted the archive of ${entry.season}`, before);
+    saveAppState();
+    renderArchive();
+    NotificationUtils.showUndo(`${entry.season} removed from the archive`, () => undo(operation.id));
+  }
+}
+
 /**
  * Render settings
  */
 function renderSettings() {
   const competitionNameInput = document.getElementById('competitionName');
   const seasonInput = document.getElementById('season');
-  const apiKeyInput = document.getElementById('apiKey');
+  const queueSelect = document.getElementById('queue');
+  const historyLimitInput = document.getElementById('historyLimit');
+  const matchLimitInput = document.getElementById('matchLimit');
+  const modeSelect = document.getElementById('competitionMode');
   
   if (competitionNameInput) {
     competitionNameInput.value = appState.settings.competitionName || '';
@@ -342,9 +1844,248 @@ function renderSettings() {
     seasonInput.value = appState.settings.season || '';
   }
   
-  if (apiKeyInput) {
-    apiKeyInput.value = appState.settings.apiKey || '';
+  if (queueSelect) {
+    queueSelect.innerHTML = RankUtils.getQueueOptions(appState.players).map(queueType => 
+      `<option value="${queueType}">${RankUtils.getQueueLabel(queueType)}</option>`
+    ).join('');
+    queueSelect.value = appState.settings.queue;
+  }
+  
+  if (historyLimitInput) {
+    historyLimitInput.value = appState.settings.historyLimit;
+  }
+  
+  if (matchLimitInput) {
+    matchLimitInput.value = appState.settings.matchLimit || MatchUtils.defaultLimit;
+  }
+  
+  if (modeSelect) {
+    modeSelect.innerHTML = Object.entries(ScoringUtils.modes).map(([mode, label]) => 
+      `<option value="${mode}">${label}</option>`
+    ).join('');
+    modeSelect.value = appState.settings.mode;
+  }
+  
+  renderHandicapSettings();
+  renderProxyHealth();
+  renderScoringSettings();
+  renderActivityLog();
+}
+
+/**
+ * Render the handicap rules of the competition settings
+ */
+function renderHandicapSettings() {
+  const ruleSelect = document.getElementById('handicapRule');
+  const fieldsContainer = document.getElementById('handicapFields');
+  
+  if (!ruleSelect || !fieldsContainer) return;
+  
+  const handicap = HandicapUtils.normalizeConfig(appState.settings.handicap);
+  
+  ruleSelect.innerHTML = Object.entries(HandicapUtils.rules).map(([rule, label]) => 
+    `<option value="${rule}">${label}</option>`
+  ).join('');
+  ruleSelect.value = handicap.rule;
+  
+  fieldsContainer.innerHTML = HandicapUtils.fields.map(field => `
+    <div class="form-group">
+      <label for="handicap-${field.key}">${field.label}</label>
+      <input type="number" id="handicap-${field.key}" min="${field.min}" max="${field.max}" step="${field.step}"
+             value="${handicap[field.key]}">
+    </div>
+  `).join('');
+  
+  updateHandicapAvailability();
+}
+
+/**
+ * Disable the handicap rules unless the selected mode is Climb, the only
+ * mode they apply to
+ */
+function updateHandicapAvailability() {
+  const modeSelect = document.getElementById('competitionMode');
+  const hint = document.getElementById('handicapHint');
+  const disabled = !modeSelect || modeSelect.value !== 'climb';
+  
+  document.querySelectorAll('#handicapRule, #handicapFields input').forEach(input => {
+    input.disabled = disabled;
+  });
+  
+  if (hint) {
+    hint.textContent = disabled ?
+      'Switch to Climb mode to weigh LP gained by starting tier.' :
+      'LP gained counts more for players starting in higher tiers.';
+  }
+}
+
+/**
+ * Render the scoring formula editor
+ */
+function renderScoringSettings() {
+  const presetSelect = document.getElementById('scoringPreset');
+  const fieldsContainer = document.getElementById('scoringFields');
+  
+  if (!presetSelect || !fieldsContainer) return;
+  
+  const scoring = ScoringUtils.normalizeConfig(appState.settings.scoring);
+  
+  presetSelect.innerHTML = Object.entries(ScoringUtils.presets).map(([key, preset]) => 
+    `<option value="${key}">${preset.label}</option>`
+  ).join('') + `<option value="custom">Custom</option>`;
+  presetSelect.value = scoring.preset;
+  
+  fieldsContainer.innerHTML = ScoringUtils.fields.map(field => `
+    <div class="form-group">
+      <label for="scoring-${field.key}">${field.label}</label>
+      <input type="number" id="scoring-${field.key}" min="${field.min}" max="${field.max}" step="${field.step}"
+             value="${scoring[field.key]}" oninput="onScoringFieldInput()">
+    </div>
+  `).join('');
+  
+  renderScoringPreview();
+}
+
+/**
+ * Read the scoring config from the editor
+ */
+function readScoringForm() {
+  const config = { preset: document.getElementById('scoringPreset').value };
+  
+  ScoringUtils.fields.forEach(({ key }) => {
+    config[key] = parseFloat(document.getElementById(`scoring-${key}`).value);
+  });
+  
+  return config;
+}
+
+/**
+ * Load a preset's weights into the editor
+ */
+function applyScoringPreset() {
+  const preset = document.getElementById('scoringPreset').value;
+  
+  if (ScoringUtils.presets[preset]) {
+    const config = ScoringUtils.getPresetConfig(preset);
+    ScoringUtils.fields.forEach(({ key }) => {
+      document.getElementById(`scoring-${key}`).value = config[key];
+    });
+  }
+  
+  renderScoringPreview();
+}
+
+/**
+ * Edited weights make a custom formula
+ */
+function onScoringFieldInput() {
+  document.getElementById('scoringPreset').value = 'custom';
+  renderScoringPreview();
+}
+
+/**
+ * Preview how the leaderboard would reorder with the formula in the editor
+ */
+function renderScoringPreview() {
+  const preview = document.getElementById('scoringPreview');
+  
+  if (!preview) return;
+  
+  if (appState.players.length === 0) {
+    preview.innerHTML = `<small class="text-muted">Add players to preview the leaderboard</small>`;
+    return;
+  }
+  
+  const currentOrder = rankPlayers(getQueuePlayers()).map(player => player.id);
+  const previewPlayers = rankPlayers(getQueuePlayers(ScoringUtils.normalizeConfig(readScoringForm())));
+  
+  preview.innerHTML = previewPlayers.map((player, index) => {
+    const movement = currentOrder.indexOf(player.id) - index;
+    const movementClass = movement > 0 ? 'up' : movement < 0 ? 'down' : 'same';
+    const movementText = movement > 0 ? `▲ ${movement}` : movement < 0 ? `▼ ${-movement}` : '–';
+    
+    return `
+      <div class="scoring-preview-row">
+        <span class="scoring-preview-rank">${index + 1}</span>
+        <span class="scoring-preview-name">${player.name}</span>
+        <span class="scoring-preview-score">${player.score}</span>
+        <span class="scoring-preview-movement ${movementClass}">${movementText}</span>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Save the scoring formula
+ */
+function saveScoring() {
+  const config = readScoringForm();
+  
+  const error = ScoringUtils.fields
+    .map(field => ValidationUtils.validateNumber(config[field.key], field.min, field.max, field.label))
+    .find(Boolean);
+  
+  if (error) {
+    NotificationUtils.showError(error);
+    return;
+  }
+  
+  const before = captureState();
+  
+  appState.settings.scoring = ScoringUtils.normalizeConfig(config);
+  
+  recordOperation('settings', `Changed the scoring formula to ${ScoringUtils.getLabel(appState.settings.scoring)}`, before);
+  saveAppState();
+  renderLeaderboard();
+  renderScoringPreview();
+  NotificationUtils.showSuccess('Scoring formula saved!');
+}
+
+/**
+ * Render the API proxy health in settings
+ */
+function renderProxyHealth() {
+  const container = document.getElementById('proxyHealth');
+  
+  if (!container) return;
+  
+  const health = apiManager.getProxyHealth();
+  
+  if (!health) {
+    container.innerHTML = `<small class="text-muted">Checking API proxy...</small>`;
+    return;
+  }
+  
+  const statuses = {
+    valid: { className: 'health-ok', text: 'API key configured and valid' },
+    expired: { className: 'health-error', text: 'API key expired - generate a new key and update RIOT_API_KEY' },
+    invalid: { className: 'health-error', text: 'API key rejected by Riot - check RIOT_API_KEY' },
+    unavailable: { className: 'health-warning', text: 'API key configured, but Riot could not confirm it right now' },
+    missing: { className: 'health-warning', text: 'No API key configured on the server - using simulated data' },
+    unreachable: { className: 'health-warning', text: 'API proxy unreachable - using simulated data' }
+  };
+  const status = statuses[health.keyStatus] || statuses.unavailable;
+  
+  container.innerHTML = `
+    <div class="proxy-health-status ${status.className}">
+      <span class="proxy-health-dot"></span>
+      ${status.text}
+    </div>
+    <small class="text-muted">Last checked: ${DateUtils.formatDate(health.checkedAt)}</small>
+  `;
+}
+
+/**
+ * Check API proxy health again
+ */
+async function checkProxyHealth() {
+  const container = document.getElementById('proxyHealth');
+  if (container) {
+    container.innerHTML = `<small class="text-muted">Checking API proxy...</small>`;
   }
+  
+  await apiManager.checkProxyHealth(true);
+  renderProxyHealth();
 }
 
 /**
@@ -374,6 +2115,45 @@ function closeAddPlayerModal() {
  */
 function clearAddPlayerForm() {
   document.getElementById('add-player-form').reset();
+  updateRankFormFields();
+}
+
+/**
+ * Validate add/edit player form data, returns the error messages. playerId
+ * is the player being edited, who does not count as a duplicate.
+ */
+function validatePlayerForm(formData, playerId = null) {
+  const validationRules = {
+    displayName: { required: true, label: 'Display Name' },
+    riotId: { required: true, type: 'riotId', label: 'Riot ID' },
+    region: { required: true, label: 'Region' }
+  };
+  
+  // Unranked players (only when editing) have no rank data to check
+  if (formData.tier) {
+    Object.assign(validationRules, {
+      // Apex tiers have uncapped LP
+      lp: RankUtils.isApexTier(formData.tier) ?
+        { custom: (value) => value < 0 ? 'League Points cannot be negative' : null } :
+        { type: 'number', min: 0, max: RankUtils.lpPerDivision, label: 'League Points' },
+      wins: { type: 'number', min: 0, max: 10000, label: 'Wins' },
+      losses: { type: 'number', min: 0, max: 10000, label: 'Losses' }
+    });
+  }
+  
+  const errors = Object.values(ValidationUtils.validateForm(formData, validationRules));
+  
+  if (errors.length > 0) {
+    return errors;
+  }
+  
+  // Check for duplicate names or Riot IDs
+  const existingPlayer = appState.players.find(p => p.id !== playerId && (
+    p.name.toLowerCase() === formData.displayName.toLowerCase() ||
+    p.riotId.toLowerCase() === formData.riotId.toLowerCase()
+  ));
+  
+  return existingPlayer ? ['Player with this name or Riot ID already exists'] : [];
 }
 
 /**
@@ -385,57 +2165,35 @@ async function addPlayer() {
     riotId: document.getElementById('riotId').value.trim(),
     region: document.getElementById('region').value,
     tier: document.getElementById('currentTier').value,
-    division: document.getElementById('currentRank').value,
+    division: RankUtils.isApexTier(document.getElementById('currentTier').value) ?
+      'I' :
+      document.getElementById('currentRank').value,
     lp: parseInt(document.getElementById('leaguePoints').value) || 0,
     wins: parseInt(document.getElementById('wins').value) || 0,
     losses: parseInt(document.getElementById('losses').value) || 0
   };
   
-  // Validate form
-  const validationRules = {
-    displayName: { required: true, label: 'Display Name' },
-    riotId: { required: true, type: 'riotId', label: 'Riot ID' },
-    region: { required: true, label: 'Region' },
-    lp: { type: 'number', min: 0, max: 3000, label: 'League Points' },
-    wins: { type: 'number', min: 0, max: 10000, label: 'Wins' },
-    losses: { type: 'number', min: 0, max: 10000, label: 'Losses' }
-  };
-  
-  const errors = ValidationUtils.validateForm(formData, validationRules);
+  const errors = validatePlayerForm(formData);
   
-  if (Object.keys(errors).length > 0) {
-    const errorMessages = Object.values(errors).join('\n');
-    NotificationUtils.showError(errorMessages);
+  if (errors.length > 0) {
+    NotificationUtils.showError(errors.join('\n'));
     return;
   }
   
-  // Check for duplicate names or Riot IDs
-  const existingPlayer = appState.players.find(p => 
-    p.name.toLowerCase() === formData.displayName.toLowerCase() ||
-    p.riotId.toLowerCase() === formData.riotId.toLowerCase()
-  );
-  
-  if (existingPlayer) {
-    NotificationUtils.showError('Player with this name or Riot ID already exists');
-    return;
-  }
-  
-  // Create player object
+  // Create player object, manual rank data describes the competition queue
   const newPlayer = {
     id: RandomUtils.generateUUID(),
     name: formData.displayName,
     riotId: formData.riotId,
     region: formData.region,
-    tier: formData.tier,
-    division: formData.division,
-    lp: formData.lp,
-    wins: formData.wins,
-    losses: formData.losses,
+    queues: {},
     dateAdded: new Date().toISOString(),
     lastUpdated: new Date().toISOString()
   };
+  PlayerUtils.setQueueData(newPlayer, appState.settings.queue, formData);
   
-  // Add to state
+  // Add to state, the operation is recorded once the API data is in
+  const before = captureState();
   appState.players.push(newPlayer);
   saveAppState();
   
@@ -446,17 +2204,216 @@ async function addPlayer() {
   
   NotificationUtils.showSuccess(`${newPlayer.name} added successfully!`);
   
-  // Try to update with API data
-  if (apiManager.hasApiKey()) {
-    try {
-      await apiManager.updatePlayerWithApiData(newPlayer);
-      saveAppState();
-      renderCurrentTab();
-      NotificationUtils.showSuccess(`${newPlayer.name} updated with latest data!`);
-    } catch (error) {
-      console.error('Failed to update with API data:', error);
-      NotificationUtils.showWarning(`${newPlayer.name} added but couldn't fetch latest data: ${error.message}`);
-    }
+  // Try to update with API data, which records the first history snapshot
+  let fetched = false;
+  try {
+    await apiManager.updatePlayerWithApiData(newPlayer);
+    fetched = true;
+    renderCurrentTab();
+    NotificationUtils.showSuccess(`${newPlayer.name} updated with latest data!`);
+  } catch (error) {
+    console.error('Failed to update with API data:', error);
+    NotificationUtils.showWarning(`${newPlayer.name} added but couldn't fetch latest data: ${error.message}`);
+  }
+  
+  // Without API data the entered rank starts the history and is the baseline
+  if (!fetched) {
+    trackPlayerUpdate(newPlayer);
+    renderCurrentTab();
+  }
+  
+  recordOperation('add', `Added ${newPlayer.name}`, before);
+  saveAppState();
+}
+
+/**
+ * Edit a player's name, Riot ID, region and rank data in the competition queue
+ */
+function showEditPlayerModal(playerId) {
+  const player = appState.players.find(p => p.id === playerId);
+  
+  if (!player) return;
+  
+  closeEditPlayerModal();
+  
+  const queueType = appState.settings.queue;
+  const queueData = PlayerUtils.getQueueData(player, queueType) ||
+    { tier: '', division: RankUtils.divisions[0], lp: 0, wins: 0, losses: 0 };
+  
+  const modal = document.createElement('div');
+  modal.id = 'edit-player-modal';
+  modal.className = 'modal active';
+  modal.innerHTML = `
+    <div class="modal-content">
+      <div class="modal-header">
+        <h3 id="editPlayerTitle"></h3>
+        <button class="modal-close" onclick="closeEditPlayerModal()">&times;</button>
+      </div>
+      <div class="modal-body">
+        <div class="form-group">
+          <label for="editDisplayName">Display Name</label>
+          <input type="text" id="editDisplayName">
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label for="editRiotId">Riot ID</label>
+            <input type="text" id="editRiotId" placeholder="GameName#TAG">
+          </div>
+          <div class="form-group">
+            <label for="editRegion">Region</label>
+            <select id="editRegion">
+              ${document.getElementById('region').innerHTML}
+            </select>
+          </div>
+        </div>
+        <p class="text-muted">Rank in ${RankUtils.getQueueLabel(queueType)}</p>
+        <div class="form-row">
+          <div class="form-group">
+            <label for="editTier">Tier</label>
+            <select id="editTier" onchange="updateEditPlayerFormFields()">
+              <option value="">Unranked</option>
+              ${getTierOptions(queueData.tier)}
+            </select>
+          </div>
+          <div class="form-group">
+            <label for="editDivision">Division</label>
+            <select id="editDivision">
+              ${getDivisionOptions(queueData.division)}
+            </select>
+          </div>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label for="editLp">League Points</label>
+            <input type="number" id="editLp" min="0" value="${queueData.lp || 0}">
+          </div>
+          <div class="form-group">
+            <label for="editWins">Wins</label>
+            <input type="number" id="editWins" min="0" value="${queueData.wins || 0}">
+          </div>
+          <div class="form-group">
+            <label for="editLosses">Losses</label>
+            <input type="number" id="editLosses" min="0" value="${queueData.losses || 0}">
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="checkbox-label">
+            <input type="checkbox" id="editRefetch">
+            Re-fetch from the Riot API after saving
+          </label>
+        </div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-secondary" onclick="closeEditPlayerModal()">Cancel</button>
+        <button class="btn btn-primary" onclick="saveEditedPlayer('${player.id}')">Save Player</button>
+      </div>
+    </div>
+  `;
+  
+  document.body.appendChild(modal);
+  
+  // Set as text, not markup: names may contain quotes or tags
+  document.getElementById('editPlayerTitle').textContent = `Edit ${player.name}`;
+  document.getElementById('editDisplayName').value = player.name;
+  document.getElementById('editRiotId').value = player.riotId;
+  document.getElementById('editRegion').value = player.region;
+  updateEditPlayerFormFields();
+}
+
+/**
+ * Unranked players have no rank data, apex tiers no division and uncapped LP
+ */
+function updateEditPlayerFormFields() {
+  const tier = document.getElementById('editTier').value;
+  const lpInput = document.getElementById('editLp');
+  
+  document.getElementById('editDivision').disabled = !tier || RankUtils.isApexTier(tier);
+  ['editLp', 'editWins', 'editLosses'].forEach(id => {
+    document.getElementById(id).disabled = !tier;
+  });
+  
+  if (RankUtils.isApexTier(tier)) {
+    lpInput.removeAttribute('max');
+  } else {
+    lpInput.max = RankUtils.lpPerDivision;
+  }
+}
+
+/**
+ * Save the edit player form, keeping the player's ID, history and dateAdded
+ */
+async function saveEditedPlayer(playerId) {
+  const index = appState.players.findIndex(p => p.id === playerId);
+  const player = appState.players[index];
+  
+  if (!player) return;
+  
+  const tier = document.getElementById('editTier').value;
+  const formData = {
+    displayName: document.getElementById('editDisplayName').value.trim(),
+    riotId: document.getElementById('editRiotId').value.trim(),
+    region: document.getElementById('editRegion').value,
+    tier,
+    division: RankUtils.isApexTier(tier) ? 'I' : document.getElementById('editDivision').value,
+    lp: parseInt(document.getElementById('editLp').value) || 0,
+    wins: parseInt(document.getElementById('editWins').value) || 0,
+    losses: parseInt(document.getElementById('editLosses').value) || 0
+  };
+  const refetch = document.getElementById('editRefetch').checked;
+  
+  const errors = validatePlayerForm(formData, playerId);
+  
+  if (errors.length > 0) {
+    NotificationUtils.showError(errors.join('\n'));
+    return;
+  }
+  
+  const queueType = appState.settings.queue;
+  const previousSnapshot = HistoryUtils.createSnapshot(player);
+  const before = captureState();
+  
+  // The account IDs belong to the old Riot ID or region
+  if (player.riotId !== formData.riotId || player.region !== formData.region) {
+    delete player.puuid;
+    delete player.summonerId;
+  }
+  
+  player.name = formData.displayName;
+  player.riotId = formData.riotId;
+  player.region = formData.region;
+  
+  if (tier) {
+    PlayerUtils.setQueueData(player, queueType, formData);
+  } else {
+    delete player.queues[queueType];
+  }
+  
+  // Corrected rank data is a new point in the rank history. Hand-entered
+  // ranks neither unlock achievements nor set baselines.
+  if (!HistoryUtils.isSameSnapshot(previousSnapshot, HistoryUtils.createSnapshot(player))) {
+    player.lastUpdated = new Date().toISOString();
+    recordPlayerHistory(player);
+  }
+  
+  recordOperation('edit', `Edited ${player.name}`, before);
+  saveAppState();
+  closeEditPlayerModal();
+  renderCurrentTab();
+  updateHeaderStats();
+  NotificationUtils.showSuccess(`${player.name} saved`);
+  
+  if (refetch) {
+    await updateSinglePlayer(index);
+  }
+}
+
+/**
+ * Close the edit player modal
+ */
+function closeEditPlayerModal() {
+  const modal = document.getElementById('edit-player-modal');
+  if (modal) {
+    modal.remove();
   }
 }
 
@@ -469,11 +2426,17 @@ function deletePlayer(index) {
   if (!player) return;
   
   if (confirm(`Are you sure you want to delete ${player.name}?`)) {
+    const before = captureState();
+    
     appState.players.splice(index, 1);
+    delete appState.history[player.id];
+    delete appState.matches[player.id];
+    delete liveGames[player.id];
+    const operation = recordOperation('delete', `Deleted ${player.name}`, before);
     saveAppState();
     renderCurrentTab();
     updateHeaderStats();
-    NotificationUtils.showSuccess(`${player.name} deleted successfully`);
+    NotificationUtils.showUndo(`${player.name} deleted`, () => undo(operation.id));
   }
 }
 
@@ -485,17 +2448,25 @@ async function updateSinglePlayer(index) {
   
   if (!player) return;
   
-  if (!apiManager.hasApiKey()) {
-    NotificationUtils.showWarning('API key required for updates. Using mock data.');
+  if (apiManager.isUsingMockApi()) {
+    NotificationUtils.showWarning('The API proxy has no Riot API key. Using mock data.');
   }
   
+  const before = captureState();
+  
   try {
     showLoadingOverlay();
-    await apiManager.updatePlayerWithApiData(player);
+    // An explicit refresh wants current data, not a cached response
+    await apiManager.updatePlayerWithApiData(player, { fresh: true });
+    
+    recordOperation('update', `Updated ${player.name} from the Riot API`, before);
     saveAppState();
     renderCurrentTab();
     updateHeaderStats();
     NotificationUtils.showSuccess(`${player.name} updated successfully!`);
+    
+    // Games feed the match achievements, a failure there keeps the rank update
+    syncMatchesInBackground([player]);
   } catch (error) {
     console.error('Failed to update player:', error);
     NotificationUtils.showError(`Failed to update ${player.name}: ${error.message}`);
@@ -519,23 +2490,22 @@ async function autoUpdateAll() {
   }
   
   appState.isUpdating = true;
+  const before = captureState();
   
   try {
     showLoadingOverlay();
     
-    let successCount = 0;
-    let errorCount = 0;
+    const { updated, failed } = await apiManager.updatePlayersWithApiData(appState.players);
+    const successCount = updated.length;
+    const errorCount = failed.length;
     
-    for (const player of appState.players) {
-      try {
-        await apiManager.updatePlayerWithApiData(player);
-        successCount++;
-      } catch (error) {
-        console.error(`Failed to update ${player.name}:`, error);
-        errorCount++;
-      }
-    }
+    failed.forEach(({ player, error }) => {
+      console.error(`Failed to update ${player.name}:`, error);
+    });
     
+    if (successCount > 0) {
+      recordOperation('update', `Updated ${successCount} players from the Riot API`, before);
+    }
     saveAppState();
     renderCurrentTab();
     updateHeaderStats();
@@ -546,6 +2516,8 @@ async function autoUpdateAll() {
       NotificationUtils.showWarning(`${successCount} players updated, ${errorCount} failed`);
     }
     
+    syncMatchesInBackground(updated);
+    
   } catch (error) {
     console.error('Auto update failed:', error);
     NotificationUtils.showError(`Auto update failed: ${error.message}`);
@@ -564,98 +2536,395 @@ function refreshLeaderboard() {
 }
 
 /**
- * Save API key
+ * Save settings
  */
-function saveApiKey() {
-  const apiKeyInput = document.getElementById('apiKey');
-  const apiKey = apiKeyInput.value.trim();
+function saveSettings() {
+  const competitionName = document.getElementById('competitionName').value.trim();
+  const season = document.getElementById('season').value.trim();
+  const queue = document.getElementById('queue').value;
+  const historyLimit = parseInt(document.getElementById('historyLimit').value);
+  const matchLimit = parseInt(document.getElementById('matchLimit').value);
+  const mode = document.getElementById('competitionMode').value;
+  const handicap = { rule: document.getElementById('handicapRule').value };
   
-  if (!apiKey) {
-    NotificationUtils.showError('Please enter an API key');
+  HandicapUtils.fields.forEach(({ key }) => {
+    handicap[key] = parseFloat(document.getElementById(`handicap-${key}`).value);
+  });
+  
+  const historyLimitError = ValidationUtils.validateNumber(historyLimit, 10, 5000, 'History Size');
+  if (historyLimitError) {
+    NotificationUtils.showError(historyLimitError);
     return;
   }
   
-  try {
-    apiManager.setApiKey(apiKey);
-    appState.settings.apiKey = apiKey;
-    saveAppState();
-    NotificationUtils.showSuccess('API key saved successfully!');
-  } catch (error) {
-    NotificationUtils.showError(`Failed to save API key: ${error.message}`);
+  const matchLimitError = ValidationUtils.validateNumber(matchLimit, 10, 1000, 'Stored Games');
+  if (matchLimitError) {
+    NotificationUtils.showError(matchLimitError);
+    return;
   }
-}
-
-/**
- * Save settings
- */
-function saveSettings() {
-  const competitionName = document.getElementById('competitionName').value.trim();
-  const season = document.getElementById('season').value.trim();
+  
+  const handicapError = HandicapUtils.fields
+    .map(field => ValidationUtils.validateNumber(handicap[field.key], field.min, field.max, field.label))
+    .find(Boolean);
+  if (handicapError) {
+    NotificationUtils.showError(handicapError);
+    return;
+  }
+  
+  const before = captureState();
   
   appState.settings.competitionName = competitionName || 'My Friends League';
   appState.settings.season = season || 'Season 2025';
+  appState.settings.queue = RankUtils.getQueueOptions(appState.players).includes(queue) ? queue : RankUtils.defaultQueue;
+  appState.settings.historyLimit = historyLimit;
+  appState.settings.matchLimit = matchLimit;
+  appState.settings.mode = ScoringUtils.modes[mode] ? mode : ScoringUtils.defaultMode;
+  appState.settings.handicap = HandicapUtils.normalizeConfig(handicap);
+  HistoryUtils.trimAll(appState.history, historyLimit);
+  MatchUtils.trimAll(appState.matches, matchLimit);
   
+  recordOperation('settings', 'Changed the competition settings', before);
   saveAppState();
+  renderLeaderboard();
+  updateHeaderStats();
   NotificationUtils.showSuccess('Settings saved successfully!');
 }
 
 /**
- * Export data
+ * Export the active competition, or all of them
  */
-function exportData() {
-  const exportData = {
-    players: appState.players,
-    achievements: appState.achievements,
-    settings: appState.settings,
-    exportDate: new Date().toISOString(),
-    version: '1.0.0'
-  };
+function exportData(scope = 'competition') {
+  saveAppState();
+  
+  const competitions = scope === 'all' ?
+    appState.competitions :
+    [{ id: appState.activeCompetitionId, ...CompetitionUtils.pick(appState) }];
+  
+  // Files get shared around, never include credentials
+  const exportData = ExportUtils.stripSecrets({
+    schemaVersion: MigrationUtils.currentVersion,
+    scope,
+    competitions,
+    activeCompetitionId: appState.activeCompetitionId,
+    exportDate: new Date().toISOString()
+  });
   
-  ExportUtils.exportToJson(exportData, 'lol-competition-data.json');
+  ExportUtils.exportToJson(exportData, scope === 'all' ? 'lol-competitions-data.json' : 'lol-competition-data.json');
   NotificationUtils.showSuccess('Data exported successfully!');
 }
 
 /**
- * Import data
+ * Export the current leaderboard as CSV
+ */
+function exportLeaderboardCsv() {
+  const columns = ExportUtils.getLeaderboardColumns(isClimbMode() ? 'LP Gained' : 'Score');
+  const rows = rankPlayers(getQueuePlayers()).map((player, index) => ({ ...player, position: index + 1 }));
+  
+  ExportUtils.exportToCsv(rows, columns, 'lol-competition-leaderboard.csv');
+  NotificationUtils.showSuccess('Leaderboard exported successfully!');
+}
+
+/**
+ * Export the rank history of all players as CSV, one row per snapshot and queue
+ */
+function exportHistoryCsv() {
+  const columns = [
+    { label: 'Timestamp', value: row => row.timestamp },
+    { label: 'Name', value: row => row.player.name },
+    { label: 'Riot ID', value: row => row.player.riotId },
+    { label: 'Queue', value: row => RankUtils.getQueueLabel(row.queueType) },
+    { label: 'Tier', value: row => row.tier },
+    { label: 'Division', value: row => row.division },
+    { label: 'LP', value: row => row.lp },
+    { label: 'Wins', value: row => row.wins },
+    { label: 'Losses', value: row => row.losses }
+  ];
+  const rows = appState.players.flatMap(player => 
+    (appState.history[player.id] || []).flatMap(entry => 
+      Object.entries(entry.queues || {}).map(([queueType, queueData]) => ({
+        ...queueData,
+        player,
+        queueType,
+        timestamp: entry.timestamp
+      }))
+    )
+  ).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  
+  ExportUtils.exportToCsv(rows, columns, 'lol-competition-history.csv');
+  NotificationUtils.showSuccess('Rank history exported successfully!');
+}
+
+/**
+ * Import an export of one competition or of all competitions. Older export
+ * versions are upgraded and the result validated before anything changes.
  */
 function importData() {
-  ExportUtils.importFromJson((error, data) => {
+  ExportUtils.importFromJson((error, fileData) => {
     if (error) {
       NotificationUtils.showError(`Failed to import data: ${error.message}`);
       return;
     }
     
-    if (!data.players || !Array.isArray(data.players)) {
+    if (!fileData || !(Array.isArray(fileData.players) || Array.isArray(fileData.competitions))) {
       NotificationUtils.showError('Invalid data format');
       return;
     }
     
-    if (confirm('This will replace all current data. Are you sure?')) {
-      appState.players = data.players;
-      appState.achievements = data.achievements || {};
-      appState.settings = { ...appState.settings, ...data.settings };
-      
-      saveAppState();
-      renderCurrentTab();
-      updateHeaderStats();
-      NotificationUtils.showSuccess('Data imported successfully!');
+    // Ignore any API key an (older) export file contains
+    let data;
+    try {
+      data = MigrationUtils.migrate(ExportUtils.stripSecrets(fileData)).data;
+    } catch (migrationError) {
+      NotificationUtils.showError(`Failed to import data: ${migrationError.message}`);
+      return;
     }
+    
+    // Exports of all competitions (also those made before the scope was recorded)
+    pendingImport = {
+      data,
+      allCompetitions: Array.isArray(fileData.competitions) && fileData.scope !== 'competition',
+      preview: null
+    };
+    showImportModal(ImportUtils.validate(data));
   });
 }
 
+/**
+ * Import dialog: the invalid records of a file, or the choice between
+ * replacing and merging
+ */
+function showImportModal(issues = []) {
+  closeImportModal(false);
+  
+  const { data, allCompetitions } = pendingImport;
+  const competitionName = appState.settings.competitionName;
+  const playerCount = data.competitions.reduce((sum, competition) => sum + (competition.players || []).length, 0);
+  
+  const modal = document.createElement('div');
+  modal.id = 'import-modal';
+  modal.className = 'modal active';
+  
+  if (issues.length > 0) {
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h3>Invalid Import File</h3>
+          <button class="modal-close" onclick="closeImportModal()">&times;</button>
+        </div>
+        <div class="modal-body">
+          <p>Nothing was imported, ${issues.length} record${issues.length === 1 ? ' is' : 's are'} invalid:</p>
+          <ul class="import-issues">
+            ${issues.map(issue => `
+              <li><strong>${issue.record}</strong>: ${issue.errors.join('; ')}</li>
+            `).join('')}
+          </ul>
+        </div>
+        <div class="modal-footer">
+          <button class="btn btn-primary" onclick="closeImportModal()">Close</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    return;
+  }
+  
+  modal.innerHTML = `
+    <div class="modal-content">
+      <div class="modal-header">
+        <h3>Import Data</h3>
+        <button class="modal-close" onclick="closeImportModal()">&times;</button>
+      </div>
+      <div class="modal-body">
+        <p>The file contains ${data.competitions.length} competition${data.competitions.length === 1 ? '' : 's'} with ${playerCount} player${playerCount === 1 ? '' : 's'}.</p>
+        <div class="form-group">
+          <label class="import-mode">
+            <input type="radio" name="importMode" value="replace" checked onchange="updateImportPreview()">
+            ${allCompetitions ? 'Replace all competitions' : `Replace all data of "${competitionName}"`}
+          </label>
+          <label class="import-mode">
+            <input type="radio" name="importMode" value="merge" onchange="updateImportPreview()">
+            Merge ${allCompetitions ? `"${getImportSource().settings.competitionName}" ` : ''}into "${competitionName}"
+          </label>
+        </div>
+        <div id="import-preview">
+          <!-- Filled by updateImportPreview() -->
+        </div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-secondary" onclick="closeImportModal()">Cancel</button>
+        <button class="btn btn-primary" onclick="applyImport()">Import</button>
+      </div>
+    </div>
+  `;
+  
+  document.body.appendChild(modal);
+  updateImportPreview();
+}
+
+/**
+ * Competition of the pending import that gets merged: the one with the
+ * active competition's ID, else the file's active one
+ */
+function getImportSource() {
+  const { competitions, activeCompetitionId } = pendingImport.data;
+  
+  return competitions.find(c => c.id === appState.activeCompetitionId) ||
+    competitions.find(c => c.id === activeCompetitionId) ||
+    competitions[0];
+}
+
+/**
+ * Format a player field for the merge preview
+ */
+function formatImportValue(field, value) {
+  if (ImportUtils.isEmpty(value)) return '–';
+  
+  if (field === 'queues' || field === 'baselines') {
+    return Object.entries(value).map(([queueType, rank]) => 
+      `${RankUtils.getQueueLabel(queueType)}: ${RankUtils.formatRank(rank.tier, rank.division, rank.lp)}`
+    ).join(', ');
+  }
+  if (field === 'handicapOverride') {
+    return HandicapUtils.format(value);
+  }
+  return value;
+}
+
+/**
+ * Show what a merge would change: added, updated, conflicting and unchanged
+ * players, with a choice of the winning side per conflicting field
+ */
+function updateImportPreview() {
+  const container = document.getElementById('import-preview');
+  const mode = document.querySelector('input[name="importMode"]:checked').value;
+  
+  if (mode !== 'merge') {
+    container.innerHTML = '';
+    return;
+  }
+  
+  const preview = ImportUtils.previewMerge(appState.players, getImportSource().players);
+  pendingImport.preview = preview;
+  
+  const renderGroup = (title, entries, renderEntry) => `
+    <div class="import-group">
+      <h4>${title} (${entries.length})</h4>
+      ${entries.length > 0 ? `<ul>${entries.map(renderEntry).join('')}</ul>` : ''}
+    </div>
+  `;
+  const renderChanges = (changes, current) => `
+    <ul class="import-changes">
+      ${changes.map(change => `
+        <li class="${change.conflict ? 'conflict' : ''}">
+          ${change.label}: ${formatImportValue(change.field, change.current)} → ${formatImportValue(change.field, change.incoming)}
+          ${change.conflict ? `
+            <div class="import-resolution">
+              <label><input type="radio" name="resolve-${current.id}-${change.field}" value="current" checked> Keep current</label>
+              <label><input type="radio" name="resolve-${current.id}-${change.field}" value="incoming"> Use file</label>
+            </div>
+          ` : ''}
+        </li>
+      `).join('')}
+    </ul>
+  `;
+  
+  container.innerHTML = `
+    ${renderGroup('Conflicts', preview.conflicts, ({ current, changes }) => `
+      <li>
+        <strong>${current.name}</strong> (${current.riotId})
+        ${renderChanges(changes, current)}
+      </li>
+    `)}
+    ${renderGroup('Added', preview.added, ({ incoming }) => `
+      <li><strong>${incoming.name}</strong> (${incoming.riotId})</li>
+    `)}
+    ${renderGroup('Updated', preview.updated, ({ current, changes }) => `
+      <li><strong>${current.name}</strong> (${current.riotId}) ${renderChanges(changes)}</li>
+    `)}
+    ${renderGroup('Unchanged', preview.unchanged, ({ current }) => `
+      <li>${current.name} (${current.riotId})</li>
+    `)}
+  `;
+}
+
+/**
+ * Replace or merge with the pending import
+ */
+function applyImport() {
+  const { data, allCompetitions, preview } = pendingImport;
+  const mode = document.querySelector('input[name="importMode"]:checked').value;
+  const before = captureState(mode !== 'merge' && allCompetitions);
+  let activeId = appState.activeCompetitionId;
+  let description;
+  
+  if (mode === 'merge') {
+    const resolutions = {};
+    preview.conflicts.forEach(({ current, changes }) => {
+      resolutions[current.id] = {};
+      changes.filter(change => change.conflict).forEach(({ field }) => {
+        resolutions[current.id][field] = document.querySelector(`input[name="resolve-${current.id}-${field}"]:checked`).value;
+      });
+    });
+    
+    // Store the merged state so the competition is reloaded from it
+    ImportUtils.merge(appState, getImportSource(), preview, resolutions);
+    saveAppState();
+    description = `Merged a file: ${preview.added.length} added, ${preview.updated.length + preview.conflicts.length} updated players`;
+  } else if (allCompetitions) {
+    if (!confirm(`This will replace all competitions with the ${data.competitions.length} in the file. Are you sure?`)) return;
+    
+    appState.competitions = data.competitions;
+    activeId = data.activeCompetitionId;
+    description = `Replaced all competitions with the ${data.competitions.length} of a file`;
+  } else {
+    if (!confirm(`This will replace all data of "${appState.settings.competitionName}". Are you sure?`)) return;
+    
+    description = `Replaced ${appState.settings.competitionName} with a file`;
+    appState.competitions = appState.competitions.map(competition => 
+      competition.id === activeId ? { ...data.competitions[0], id: activeId } : competition
+    );
+  }
+  
+  activateCompetition(activeId);
+  
+  recordOperation('import', description, before);
+  saveAppState();
+  closeImportModal();
+  renderCurrentTab();
+  updateHeaderStats();
+  NotificationUtils.showSuccess(mode === 'merge' ? 'Data merged successfully!' : 'Data imported successfully!');
+}
+
+/**
+ * Close the import dialog, by default also dropping the pending import
+ */
+function closeImportModal(discard = true) {
+  const modal = document.getElementById('import-modal');
+  if (modal) {
+    modal.remove();
+  }
+  if (discard) {
+    pendingImport = null;
+  }
+}
+
 /**
  * Clear all data
  */
 function clearAllData() {
-  if (confirm('This will delete all players and data. Are you sure?')) {
-    if (confirm('This action cannot be undone. Are you really sure?')) {
-      appState.players = [];
-      appState.achievements = {};
-      saveAppState();
-      renderCurrentTab();
-      updateHeaderStats();
-      NotificationUtils.showSuccess('All data cleared');
-    }
+  if (confirm(`This will delete all players and data of "${appState.settings.competitionName}". Are you sure?`)) {
+    const before = captureState();
+    
+    appState.players = [];
+    appState.achievements = {};
+    appState.history = {};
+    appState.matches = {};
+    appState.archive = [];
+    const operation = recordOperation('delete', `Cleared all data of ${appState.settings.competitionName}`, before);
+    saveAppState();
+    renderCurrentTab();
+    updateHeaderStats();
+    NotificationUtils.showUndo('All data cleared', () => undo(operation.id));
   }
 }
 
@@ -704,12 +2973,7 @@ function showBulkImportModal() {
         <div class="form-group">
           <label>Default Rank for imported players:</label>
           <select id="defaultTier">
-            <option value="IRON">Iron</option>
-            <option value="BRONZE">Bronze</option>
-            <option value="SILVER" selected>Silver</option>
-            <option value="GOLD">Gold</option>
-            <option value="PLATINUM">Platinum</option>
-            <option value="DIAMOND">Diamond</option>
+            ${getTierOptions('SILVER')}
           </select>
         </div>
       </div>
@@ -734,6 +2998,232 @@ function closeBulkImportModal() {
   }
 }
 
+/**
+ * Roster import from CSV: paste rows from a spreadsheet or load a file, then
+ * map its columns to player fields
+ */
+function showCsvImportModal() {
+  closeCsvImportModal();
+  
+  const modal = document.createElement('div');
+  modal.id = 'csv-import-modal';
+  modal.className = 'modal active';
+  modal.innerHTML = `
+    <div class="modal-content">
+      <div class="modal-header">
+        <h3>Import Roster from CSV</h3>
+        <button class="modal-close" onclick="closeCsvImportModal()">&times;</button>
+      </div>
+      <div class="modal-body">
+        <div class="form-group">
+          <label for="csvImportText">Rows (paste from a spreadsheet or load a file)</label>
+          <textarea id="csvImportText" rows="6" placeholder="Name,Riot ID,Region,Tier,LP" oninput="updateCsvImportMapping()"></textarea>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label class="import-mode">
+              <input type="checkbox" id="csvHasHeader" checked onchange="updateCsvImportMapping()">
+              First row holds column names
+            </label>
+          </div>
+          <div class="form-group">
+            <label for="csvDefaultRegion">Region for rows without one</label>
+            <select id="csvDefaultRegion" onchange="updateCsvImportPreview()">
+              ${document.getElementById('region').innerHTML}
+            </select>
+          </div>
+        </div>
+        <button class="btn btn-secondary" onclick="loadCsvImportFile()">
+          <span class="btn-icon">📄</span>
+          Load CSV File
+        </button>
+        <div id="csvImportMapping" class="csv-mapping">
+          <!-- Filled by updateCsvImportMapping() -->
+        </div>
+        <div id="csvImportPreview">
+          <!-- Filled by updateCsvImportPreview() -->
+        </div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-secondary" onclick="closeCsvImportModal()">Cancel</button>
+        <button class="btn btn-primary" onclick="importCsvRoster()">Import Players</button>
+      </div>
+    </div>
+  `;
+  
+  document.body.appendChild(modal);
+  document.getElementById('csvImportText').focus();
+}
+
+/**
+ * Put a picked CSV file into the roster import
+ */
+function loadCsvImportFile() {
+  ExportUtils.readTextFile('.csv,.tsv,.txt', (error, text) => {
+    if (error) {
+      NotificationUtils.showError(`Failed to read file: ${error.message}`);
+      return;
+    }
+    
+    document.getElementById('csvImportText').value = text;
+    updateCsvImportMapping();
+  });
+}
+
+/**
+ * Rows of the roster import, without the header row
+ */
+function getCsvImportRows() {
+  const rows = ExportUtils.parseCsv(document.getElementById('csvImportText').value);
+  return document.getElementById('csvHasHeader').checked ? rows.slice(1) : rows;
+}
+
+/**
+ * Column choice per player field, guessed from the header row
+ */
+function updateCsvImportMapping() {
+  const container = document.getElementById('csvImportMapping');
+  const rows = ExportUtils.parseCsv(document.getElementById('csvImportText').value);
+  const hasHeader = document.getElementById('csvHasHeader').checked;
+  
+  if (rows.length === 0) {
+    container.innerHTML = '';
+    updateCsvImportPreview();
+    return;
+  }
+  
+  const columnCount = Math.max(...rows.map(row => row.length));
+  const headers = Array.from({ length: columnCount }, (_, index) => 
+    (hasHeader && rows[0][index]) || `Column ${index + 1}`
+  );
+  // Without names the columns are expected in the order of the fields
+  const mapping = hasHeader ?
+    ExportUtils.guessRosterMapping(headers) :
+    Object.fromEntries(Object.keys(ExportUtils.rosterFields).map((field, index) => [field, index < columnCount ? index : -1]));
+  
+  container.innerHTML = `
+    <div class="form-row">
+      ${Object.entries(ExportUtils.rosterFields).map(([field, { label, required }]) => `
+        <div class="form-group">
+          <label for="csvColumn-${field}">${label}${required ? ' *' : ''}</label>
+          <select id="csvColumn-${field}" data-field="${field}" onchange="updateCsvImportPreview()">
+            <option value="-1">Not in file</option>
+            ${headers.map((header, index) => 
+              `<option value="${index}" ${mapping[field] === index ? 'selected' : ''}>${header}</option>`
+            ).join('')}
+          </select>
+        </div>
+      `).join('')}
+    </div>
+  `;
+  
+  updateCsvImportPreview();
+}
+
+/**
+ * Read the roster import with the chosen column mapping
+ */
+function parseCsvImport() {
+  const mapping = {};
+  document.querySelectorAll('#csvImportMapping select').forEach(select => {
+    mapping[select.dataset.field] = parseInt(select.value);
+  });
+  
+  const defaultRegion = document.getElementById('csvDefaultRegion').value;
+  const offset = document.getElementById('csvHasHeader').checked ? 2 : 1;
+  const players = [];
+  const errors = [];
+  
+  getCsvImportRows().forEach((row, index) => {
+    const { player, error } = ExportUtils.parseRosterRow(row, mapping, defaultRegion);
+    
+    if (error) {
+      errors.push(`Row ${index + offset}: ${error}`);
+    } else if (appState.players.some(p => p.riotId.toLowerCase() === player.riotId.toLowerCase()) ||
+        players.some(p => p.riotId.toLowerCase() === player.riotId.toLowerCase())) {
+      errors.push(`Row ${index + offset}: ${player.riotId} is already in the roster`);
+    } else {
+      players.push(player);
+    }
+  });
+  
+  return { players, errors };
+}
+
+/**
+ * Show how many rows of the roster import can be added, and why others cannot
+ */
+function updateCsvImportPreview() {
+  const container = document.getElementById('csvImportPreview');
+  
+  if (getCsvImportRows().length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+  
+  const { players, errors } = parseCsvImport();
+  
+  container.innerHTML = `
+    <p>${players.length} player${players.length === 1 ? '' : 's'} ready to import${errors.length > 0 ? `, ${errors.length} row${errors.length === 1 ? '' : 's'} skipped:` : ''}</p>
+    ${errors.length > 0 ? `<ul class="import-issues">${errors.map(error => `<li>${error}</li>`).join('')}</ul>` : ''}
+  `;
+}
+
+/**
+ * Add the players of the roster import, rank data describes the competition queue
+ */
+function importCsvRoster() {
+  if (!document.getElementById('csvImportMapping').innerHTML.trim()) {
+    NotificationUtils.showError('Paste rows or load a CSV file first');
+    return;
+  }
+  
+  const { players, errors } = parseCsvImport();
+  
+  if (players.length === 0) {
+    NotificationUtils.showError('No players to import');
+    return;
+  }
+  
+  const before = captureState();
+  
+  players.forEach(playerData => {
+    const newPlayer = {
+      id: RandomUtils.generateUUID(),
+      name: playerData.name,
+      riotId: playerData.riotId,
+      region: playerData.region,
+      queues: {},
+      dateAdded: new Date().toISOString(),
+      lastUpdated: new Date().toISOString()
+    };
+    if (playerData.tier) {
+      PlayerUtils.setQueueData(newPlayer, appState.settings.queue, playerData);
+    }
+    
+    appState.players.push(newPlayer);
+    trackPlayerUpdate(newPlayer);
+  });
+  
+  recordOperation('import', `Imported ${players.length} players from CSV`, before);
+  saveAppState();
+  renderCurrentTab();
+  updateHeaderStats();
+  
+  closeCsvImportModal();
+  NotificationUtils.showSuccess(`Imported ${players.length} player${players.length === 1 ? '' : 's'}${errors.length > 0 ? `, skipped ${errors.length} row${errors.length === 1 ? '' : 's'}` : ''}`);
+}
+
+/**
+ * Close the roster import
+ */
+function closeCsvImportModal() {
+  const modal = document.getElementById('csv-import-modal');
+  if (modal) {
+    modal.remove();
+  }
+}
+
 /**
  * Import players from OP.GG URL with real data
  */
@@ -769,6 +3259,7 @@ async function importFromOpgg() {
       throw new Error('No player data found. Make sure the OP.GG page loaded properly.');
     }
     
+    const before = captureState();
     let importedCount = 0;
     let skippedCount = 0;
     
@@ -779,13 +3270,10 @@ async function importFromOpgg() {
       );
       
       if (existingPlayer) {
-        // Update existing player with fresh data
-        existingPlayer.tier = playerData.tier;
-        existingPlayer.division = playerData.division;
-        existingPlayer.lp = playerData.lp;
-        existingPlayer.wins = playerData.wins;
-        existingPlayer.losses = playerData.losses;
+        // Update existing player with fresh data (OP.GG shows Solo/Duo rank)
+        PlayerUtils.setQueueData(existingPlayer, 'RANKED_SOLO_5x5', playerData);
         existingPlayer.lastUpdated = new Date().toISOString();
+        trackPlayerUpdate(existingPlayer);
         importedCount++;
       } else {
         // Add new player
@@ -794,20 +3282,19 @@ async function importFromOpgg() {
           name: playerData.name,
           riotId: playerData.riotId,
           region: 'euw1',
-          tier: playerData.tier,
-          division: playerData.division,
-          lp: playerData.lp,
-          wins: playerData.wins,
-          losses: playerData.losses,
+          queues: {},
           dateAdded: new Date().toISOString(),
           lastUpdated: new Date().toISOString()
         };
+        PlayerUtils.setQueueData(newPlayer, 'RANKED_SOLO_5x5', playerData);
         
         appState.players.push(newPlayer);
+        trackPlayerUpdate(newPlayer);
         importedCount++;
       }
     });
     
+    recordOperation('import', `Imported ${importedCount} players from OP.GG`, before);
     saveAppState();
     renderCurrentTab();
     updateHeaderStats();
@@ -909,7 +3396,8 @@ function extractPlayerFromCard(card) {
     
     // Try to find rank information
     const tierElement = card.querySelector('.tier, .rank, [data-tier]');
-    const tier = tierElement?.textContent?.trim()?.toUpperCase() || 'SILVER';
+    const tierText = tierElement?.textContent?.trim() || tierElement?.getAttribute('data-tier') || '';
+    const tier = RankUtils.parseTier(tierText, 'SILVER');
     
     // Try to find LP
     const lpElement = card.querySelector('.lp, [data-lp], .league-points');
@@ -925,13 +3413,8 @@ function extractPlayerFromCard(card) {
     return {
       name: name,
       riotId: `${name}#EUW`, // Default tag
-      tier: tier.includes('IRON') ? 'IRON' : 
-            tier.includes('BRONZE') ? 'BRONZE' :
-            tier.includes('SILVER') ? 'SILVER' :
-            tier.includes('GOLD') ? 'GOLD' :
-            tier.includes('PLATINUM') ? 'PLATINUM' :
-            tier.includes('DIAMOND') ? 'DIAMOND' : 'SILVER',
-      division: 'III',
+      tier: tier,
+      division: RankUtils.isApexTier(tier) ? 'I' : RankUtils.parseDivision(tierText, 'III'),
       lp: lp,
       wins: wins,
       losses: losses
@@ -957,6 +3440,10 @@ function extractSummonersFromUrl(url) {
 
 // Global functions for onclick handlers
 window.showTab = showTab;
+window.switchCompetition = switchCompetition;
+window.createCompetition = createCompetition;
+window.renameCompetition = renameCompetition;
+window.deleteCompetition = deleteCompetition;
 window.showAddPlayerModal = showAddPlayerModal;
 window.closeAddPlayerModal = closeAddPlayerModal;
 window.addPlayer = addPlayer;
@@ -964,7 +3451,40 @@ window.deletePlayer = deletePlayer;
 window.updateSinglePlayer = updateSinglePlayer;
 window.autoUpdateAll = autoUpdateAll;
 window.refreshLeaderboard = refreshLeaderboard;
-window.saveApiKey = saveApiKey;
+window.checkProxyHealth = checkProxyHealth;
+window.applyScoringPreset = applyScoringPreset;
+window.onScoringFieldInput = onScoringFieldInput;
+window.saveScoring = saveScoring;
+window.showBaselineModal = showBaselineModal;
+window.updateBaselineFormFields = updateBaselineFormFields;
+window.saveBaseline = saveBaseline;
+window.closeBaselineModal = closeBaselineModal;
+window.resetAllBaselines = resetAllBaselines;
+window.startNewSeason = startNewSeason;
+window.deleteArchivedSeason = deleteArchivedSeason;
+window.showCustomAchievementModal = showCustomAchievementModal;
+window.updateCustomAchievementValue = updateCustomAchievementValue;
+window.saveCustomAchievement = saveCustomAchievement;
+window.deleteCustomAchievement = deleteCustomAchievement;
+window.closeCustomAchievementModal = closeCustomAchievementModal;
+window.updateImportPreview = updateImportPreview;
+window.applyImport = applyImport;
+window.closeImportModal = closeImportModal;
+window.exportLeaderboardCsv = exportLeaderboardCsv;
+window.exportHistoryCsv = exportHistoryCsv;
+window.showCsvImportModal = showCsvImportModal;
+window.loadCsvImportFile = loadCsvImportFile;
+window.updateCsvImportMapping = updateCsvImportMapping;
+window.updateCsvImportPreview = updateCsvImportPreview;
+window.importCsvRoster = importCsvRoster;
+window.closeCsvImportModal = closeCsvImportModal;
+window.showEditPlayerModal = showEditPlayerModal;
+window.updateEditPlayerFormFields = updateEditPlayerFormFields;
+window.updateHandicapAvailability = updateHandicapAvailability;
+window.saveEditedPlayer = saveEditedPlayer;
+window.closeEditPlayerModal = closeEditPlayerModal;
+window.undo = undo;
+window.redo = redo;
 window.saveSettings = saveSettings;
 window.exportData = exportData;
 window.importData = importData;
@@ -972,4 +3492,8 @@ window.clearAllData = clearAllData;
 window.showBulkImportModal = showBulkImportModal;
 window.closeBulkImportModal = closeBulkImportModal;
 window.importFromOpgg = importFromOpgg;
+window.loadRecentGames = loadRecentGames;
+window.showPlayerDetail = showPlayerDetail;
+window.renderPlayerDetailChart = renderPlayerDetailChart;
+window.closePlayerDetail = closePlayerDetail;
 
@@ -0,0 +1,183 @@
+// Rank progression chart for LoL Competition Tracker
+
+/**
+ * Rank chart (plain SVG, no chart library)
+ */
+const RankChart = {
+  // Line colors for overlaid players
+  seriesColors: ['#c89b3c', '#5bc0de', '#00bd9c', '#e74c3c', '#f39c12', '#b042f5', '#94b7c7', '#f54242'],
+
+  // Chart size in SVG units
+  dimensions: {
+    width: 640,
+    height: 320,
+    padding: { top: 16, right: 16, bottom: 32, left: 96 }
+  },
+
+  // Build a chart series from a player's rank history for one queue
+  buildSeries: (player, history, queueType, color) => {
+    const points = (history || [])
+      .filter(snapshot => snapshot.queues && snapshot.queues[queueType])
+      .map(snapshot => {
+        const queueData = snapshot.queues[queueType];
+        return {
+          timestamp: snapshot.timestamp,
+          tier: queueData.tier,
+          division: queueData.division,
+          lp: queueData.lp,
+          score: RankUtils.calculateRankScore(queueData.tier, queueData.division, queueData.lp)
+        };
+      });
+    
+    return { name: player.name, color, points };
+  },
+
+  // Score range covered by each tier, used for the shaded bands. The apex
+  // tiers share one open-ended band since their LP scale is continuous.
+  getTierBands: () => {
+    const tierSize = RankUtils.divisions.length * RankUtils.lpPerDivision;
+    
+    return RankUtils.ladder
+      .filter((entry, index) => !entry.apex || index === RankUtils.getTierIndex('MASTER'))
+      .map(entry => {
+        const start = RankUtils.toAbsoluteLp(entry.tier, RankUtils.divisions[0], 0);
+        return {
+          tier: entry.tier,
+          start,
+          end: entry.apex ? Infinity : start + tierSize
+        };
+      });
+  },
+
+  // Render series into a container element
+  render: (container, series) => {
+    if (typeof container === 'string') {
+      container = document.getElementById(container);
+    }
+    if (!container) return;
+    
+    const populatedSeries = series.filter(s => s.points.length > 0);
+    
+    if (populatedSeries.length === 0) {
+      container.innerHTML = `
+        <div class="chart-empty text-muted">
+          No rank history yet. Update this player to start recording progress.
+        </div>
+      `;
+      return;
+    }
+    
+    const { width, height, padding } = RankChart.dimensions;
+    const allPoints = populatedSeries.flatMap(s => s.points);
+    
+    // Time domain (pad a single data point to half a day on each side)
+    const times = allPoints.map(point => new Date(point.timestamp).getTime());
+    let minTime = Math.min(...times);
+    let maxTime = Math.max(...times);
+    if (minTime === maxTime) {
+      minTime -= 12 * 60 * 60 * 1000;
+      maxTime += 12 * 60 * 60 * 1000;
+    }
+    
+    // Score domain with some headroom
+    const scores = allPoints.map(point => point.score);
+    const minScore = Math.max(0, Math.min(...scores) - 100);
+    const maxScore = Math.max(...scores) + 100;
+    
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const x = (time) => padding.left + ((time - minTime) / (maxTime - minTime)) * plotWidth;
+    const y = (score) => padding.top + plotHeight - ((score - minScore) / (maxScore - minScore)) * plotHeight;
+    
+    // Tier bands
+    const bands = RankChart.getTierBands()
+      .filter(band => band.end > minScore && band.start < maxScore)
+      .map(band => {
+        const top = y(Math.min(band.end, maxScore));
+        const bottom = y(Math.max(band.start, minScore));
+        const tierClass = band.tier.toLowerCase();
+        return `
+          <rect x="${padding.left}" y="${top}" width="${plotWidth}" height="${bottom - top}"
+                class="chart-band" style="fill: var(--${tierClass})"></rect>
+          <text x="${padding.left - 8}" y="${(top + bottom) / 2}" class="chart-band-label tier-${tierClass}"
+                text-anchor="end" dominant-baseline="middle">${band.tier}</text>
+        `;
+      }).join('');
+    
+    // Date labels on the x axis
+    const axisLabels = [minTime, (minTime + maxTime) / 2, maxTime].map((time, index) => `
+      <text x="${x(time)}" y="${height - 8}" class="chart-axis-label"
+            text-anchor="${['start', 'middle', 'end'][index]}">${new Date(time).toLocaleDateString()}</text>
+    `).join('');
+    
+    // Lines and hoverable points
+    const lines = populatedSeries.map((s, seriesIndex) => {
+      const path = s.points
+        .map((point, index) => `${index === 0 ? 'M' : 'L'}${x(new Date(point.timestamp).getTime())},${y(point.score)}`)
+        .join(' ');
+      
+      const circles = s.points.map((point, pointIndex) => `
+        <circle cx="${x(new Date(point.timestamp).getTime())}" cy="${y(point.score)}" r="4"
+                class="chart-point" fill="${s.color}"
+                data-series="${seriesIndex}" data-point="${pointIndex}"></circle>
+      `).join('');
+      
+      return `<path d="${path}" class="chart-line" stroke="${s.color}"></path>${circles}`;
+    }).join('');
+    
+    const legend = populatedSeries.map(s => `
+      <span class="chart-legend-item">
+        <span class="chart-legend-swatch" style="background-color: ${s.color}"></span>
+        ${s.name}
+      </span>
+    `).join('');
+    
+    container.innerHTML = `
+      <div class="chart-wrapper">
+        <svg class="chart-svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet">
+          ${bands}
+          ${axisLabels}
+          ${lines}
+        </svg>
+        <div class="chart-tooltip"></div>
+      </div>
+      <div class="chart-legend">${legend}</div>
+    `;
+    
+    RankChart.attachTooltips(container, populatedSeries);
+  },
+
+  // Show exact rank, LP and date when hovering a point
+  attachTooltips: (container, series) => {
+    const svg = container.querySelector('.chart-svg');
+    const tooltip = container.querySelector('.chart-tooltip');
+    
+    container.querySelectorAll('.chart-point').forEach(circle => {
+      circle.addEventListener('mouseenter', () => {
+        const s = series[circle.dataset.series];
+        const point = s.points[circle.dataset.point];
+        const scale = svg.getBoundingClientRect().width / RankChart.dimensions.width;
+        
+        tooltip.innerHTML = `
+          <strong>${s.name}</strong><br>
+          ${RankUtils.formatRank(point.tier, point.division, point.lp)}<br>
+          <span class="text-muted">${new Date(point.timestamp).toLocaleString()}</span>
+        `;
+        tooltip.style.left = `${circle.getAttribute('cx') * scale}px`;
+        tooltip.style.top = `${circle.getAttribute('cy') * scale}px`;
+        tooltip.classList.add('active');
+      });
+      
+      circle.addEventListener('mouseleave', () => {
+        tooltip.classList.remove('active');
+      });
+    });
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RankChart
+  };
+}
@@ -2,46 +2,120 @@
 
 /**
  * Storage utilities
+ *
+ * Key-value storage in an IndexedDB object store, every method returns a
+ * promise. localStorage, where older versions kept the whole app state, is
+ * only read to upgrade that data.
  */
 const Storage = {
-  save: (key, data) => {
+  dbName: 'lol_competition_tracker',
+  dbVersion: 1,
+  storeName: 'state',
+  dbPromise: null,
+
+  // Open the database once, creating the object store on first use. A failed
+  // open is not kept, so the next call tries again.
+  open: () => {
+    if (!Storage.dbPromise) {
+      Storage.dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+        
+        const request = indexedDB.open(Storage.dbName, Storage.dbVersion);
+        
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(Storage.storeName)) {
+            db.createObjectStore(Storage.storeName);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        Storage.dbPromise = null;
+        throw error;
+      });
+    }
+    return Storage.dbPromise;
+  },
+
+  // Run one request on the object store, resolves once its transaction completes
+  request: async (mode, operation) => {
+    const db = await Storage.open();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(Storage.storeName, mode);
+      const request = operation(transaction.objectStore(Storage.storeName));
+      
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  },
+
+  save: async (key, data) => {
     try {
-      localStorage.setItem(key, JSON.stringify(data));
+      await Storage.request('readwrite', store => store.put(data, key));
       return true;
     } catch (error) {
-      console.error('Error saving to localStorage:', error);
+      console.error('Error saving to IndexedDB:', error);
       return false;
     }
   },
 
-  load: (key, defaultValue = null) => {
+  load: async (key, defaultValue = null) => {
     try {
-      const item = localStorage.getItem(key);
-      return item ? JSON.parse(item) : defaultValue;
+      const item = await Storage.request('readonly', store => store.get(key));
+      return item === undefined ? defaultValue : item;
     } catch (error) {
-      console.error('Error loading from localStorage:', error);
+      console.error('Error loading from IndexedDB:', error);
       return defaultValue;
     }
   },
 
-  remove: (key) => {
+  remove: async (key) => {
     try {
-      localStorage.removeItem(key);
+      await Storage.request('readwrite', store => store.delete(key));
       return true;
     } catch (error) {
-      console.error('Error removing from localStorage:', error);
+      console.error('Error removing from IndexedDB:', error);
       return false;
     }
   },
 
-  clear: () => {
+  clear: async () => {
     try {
-      localStorage.clear();
+      await Storage.request('readwrite', store => store.clear());
       return true;
     } catch (error) {
-      console.error('Error clearing localStorage:', error);
+      console.error('Error clearing IndexedDB:', error);
       return false;
     }
+  },
+
+  // Data older versions kept in localStorage
+  legacy: {
+    load: (key) => {
+      try {
+        const item = localStorage.getItem(key);
+        return item ? JSON.parse(item) : null;
+      } catch (error) {
+        console.error('Error loading from localStorage:', error);
+        return null;
+      }
+    },
+
+    remove: (key) => {
+      try {
+        localStorage.removeItem(key);
+        return true;
+      } catch (error) {
+        console.error('Error removing from localStorage:', error);
+        return false;
+      }
+    }
   }
 };
 
@@ -49,44 +123,130 @@ const Storage = {
  * Rank utilities
  */
 const RankUtils = {
-  // Rank tier values for scoring
-  tierValues: {
-    'IRON': 1,
-    'BRONZE': 2,
-    'SILVER': 3,
-    'GOLD': 4,
-    'PLATINUM': 5,
-    'DIAMOND': 6,
-    'MASTER': 7,
-    'GRANDMASTER': 8,
-    'CHALLENGER': 9
-  },
-
-  // Rank division values
-  divisionValues: {
-    'IV': 1,
-    'III': 2,
-    'II': 3,
-    'I': 4
-  },
-
-  // Calculate total rank score
-  calculateRankScore: (tier, division, lp) => {
-    const tierValue = RankUtils.tierValues[tier] || 1;
-    const divisionValue = RankUtils.divisionValues[division] || 1;
-    const lpValue = Math.max(0, Math.min(100, lp || 0));
+  // Canonical ladder, lowest tier first. Apex tiers (Master and above) have no
+  // divisions and uncapped LP, and share one LP scale starting at Master 0 LP.
+  ladder: [
+    { tier: 'IRON', label: 'Iron', apex: false },
+    { tier: 'BRONZE', label: 'Bronze', apex: false },
+    { tier: 'SILVER', label: 'Silver', apex: false },
+    { tier: 'GOLD', label: 'Gold', apex: false },
+    { tier: 'PLATINUM', label: 'Platinum', apex: false },
+    { tier: 'EMERALD', label: 'Emerald', apex: false },
+    { tier: 'DIAMOND', label: 'Diamond', apex: false },
+    { tier: 'MASTER', label: 'Master', apex: true },
+    { tier: 'GRANDMASTER', label: 'Grandmaster', apex: true },
+    { tier: 'CHALLENGER', label: 'Challenger', apex: true }
+  ],
+
+  // Divisions of a non-apex tier, lowest first
+  divisions: ['IV', 'III', 'II', 'I'],
+
+  // LP needed to climb one division
+  lpPerDivision: 100,
+
+  // Position of a tier on the ladder (-1 for unranked or unknown tiers)
+  getTierIndex: (tier) => {
+    return RankUtils.ladder.findIndex(entry => entry.tier === tier);
+  },
+
+  // Get display label for a tier
+  getTierLabel: (tier) => {
+    const entry = RankUtils.ladder.find(entry => entry.tier === tier);
+    return entry ? entry.label : 'Unranked';
+  },
+
+  // Check if a tier has no divisions and uncapped LP
+  isApexTier: (tier) => {
+    const entry = RankUtils.ladder.find(entry => entry.tier === tier);
+    return !!entry && entry.apex;
+  },
+
+  // Check if a tier is the same as or above another
+  isAtLeastTier: (tier, minimumTier) => {
+    const tierIndex = RankUtils.getTierIndex(tier);
+    return tierIndex >= 0 && tierIndex >= RankUtils.getTierIndex(minimumTier);
+  },
+
+  // Absolute LP where the apex tiers start (Master 0 LP)
+  getApexBaseLp: () => {
+    const divisionTiers = RankUtils.ladder.filter(entry => !entry.apex).length;
+    return divisionTiers * RankUtils.divisions.length * RankUtils.lpPerDivision;
+  },
+
+  // Convert a rank to LP above Iron IV 0 LP. Division LP is capped at 100,
+  // apex LP is not. Unknown tiers count as Iron, like unknown divisions as IV.
+  toAbsoluteLp: (tier, division, lp) => {
+    if (tier === 'UNRANKED') return 0;
     
-    // High tier ranks don't have divisions
-    if (tier === 'MASTER' || tier === 'GRANDMASTER' || tier === 'CHALLENGER') {
-      return (tierValue * 1000) + lpValue;
+    const lpValue = Math.max(0, lp || 0);
+    
+    if (RankUtils.isApexTier(tier)) {
+      return RankUtils.getApexBaseLp() + lpValue;
     }
     
-    return (tierValue * 1000) + (divisionValue * 100) + lpValue;
+    const tierIndex = Math.max(0, RankUtils.getTierIndex(tier));
+    const divisionIndex = Math.max(0, RankUtils.divisions.indexOf(division));
+    const steps = tierIndex * RankUtils.divisions.length + divisionIndex;
+    
+    return steps * RankUtils.lpPerDivision + Math.min(RankUtils.lpPerDivision, lpValue);
+  },
+
+  // Parse a tier from free text such as "Emerald 2" or "grandmaster"
+  parseTier: (text, fallback = null) => {
+    const upper = (text || '').toUpperCase();
+    // Longest names first, so GRANDMASTER is not read as MASTER
+    const entry = [...RankUtils.ladder]
+      .sort((a, b) => b.tier.length - a.tier.length)
+      .find(entry => upper.includes(entry.tier));
+    return entry ? entry.tier : fallback;
+  },
+
+  // Parse a division from free text such as "Emerald 2" or "Gold IV"
+  parseDivision: (text, fallback = null) => {
+    const match = (text || '').toUpperCase().match(/\b(IV|III|II|I|[1-4])\b/);
+    if (!match) return fallback;
+    
+    const arabic = parseInt(match[1]);
+    return arabic ? RankUtils.divisions[RankUtils.divisions.length - arabic] : match[1];
+  },
+
+  // Ranked queues tracked per player (league-v4 queueType => label)
+  queueTypes: {
+    'RANKED_SOLO_5x5': 'Ranked Solo/Duo',
+    'RANKED_FLEX_SR': 'Ranked Flex'
+  },
+
+  // Queue used for the leaderboard unless configured otherwise
+  defaultQueue: 'RANKED_SOLO_5x5',
+
+  // Get display label for a queue type
+  getQueueLabel: (queueType) => {
+    return RankUtils.queueTypes[queueType] || queueType;
+  },
+
+  // Queue types a leaderboard can use: the known ones, then any other queue
+  // the players have rank data for
+  getQueueOptions: (players = []) => {
+    const queueTypes = new Set(Object.keys(RankUtils.queueTypes));
+    
+    players.forEach(player => {
+      Object.keys(player.queues || {}).forEach(queueType => queueTypes.add(queueType));
+    });
+    
+    return [...queueTypes];
+  },
+
+  // Calculate total rank score (absolute LP on the ladder)
+  calculateRankScore: (tier, division, lp) => {
+    return RankUtils.toAbsoluteLp(tier, division, lp);
   },
 
   // Format rank display
   formatRank: (tier, division, lp) => {
-    if (tier === 'MASTER' || tier === 'GRANDMASTER' || tier === 'CHALLENGER') {
+    if (tier === 'UNRANKED') {
+      return 'Unranked';
+    }
+    if (RankUtils.isApexTier(tier)) {
       return `${tier} ${lp} LP`;
     }
     return `${tier} ${division} ${lp} LP`;
@@ -99,23 +259,25 @@ const RankUtils = {
 
   // Get next rank
   getNextRank: (tier, division) => {
-    const tiers = Object.keys(RankUtils.tierValues);
-    const currentTierIndex = tiers.indexOf(tier);
+    const { ladder, divisions } = RankUtils;
+    const currentTierIndex = RankUtils.getTierIndex(tier);
     
-    if (tier === 'CHALLENGER') {
-      return { tier: 'CHALLENGER', division: 'I' };
+    if (currentTierIndex < 0) {
+      return { tier: ladder[0].tier, division: divisions[0] };
     }
     
-    if (tier === 'MASTER' || tier === 'GRANDMASTER') {
-      return { tier: tiers[currentTierIndex + 1], division: 'I' };
+    // Riot reports apex tiers with division I
+    if (currentTierIndex === ladder.length - 1) {
+      return { tier, division: 'I' };
     }
     
-    if (division === 'I') {
-      return { tier: tiers[currentTierIndex + 1], division: 'IV' };
+    const nextTier = ladder[currentTierIndex + 1];
+    
+    if (RankUtils.isApexTier(tier) || division === divisions[divisions.length - 1]) {
+      return { tier: nextTier.tier, division: nextTier.apex ? 'I' : divisions[0] };
     }
     
-    const divisions = ['IV', 'III', 'II', 'I'];
-    const currentDivIndex = divisions.indexOf(division);
+    const currentDivIndex = Math.max(0, divisions.indexOf(division));
     return { tier, division: divisions[currentDivIndex + 1] };
   }
 };
@@ -124,216 +286,1617 @@ const RankUtils = {
  * Player utilities
  */
 const PlayerUtils = {
-  // Calculate player score
-  calculateScore: (player) => {
-    const rankScore = RankUtils.calculateRankScore(player.tier, player.division, player.lp);
+  // Get a player's rank data for one queue (null when unranked in it)
+  getQueueData: (player, queueType = RankUtils.defaultQueue) => {
+    return (player.queues && player.queues[queueType]) || null;
+  },
+
+  // Flatten a player with the rank data of one queue, so tier/division/lp/
+  // wins/losses can be read directly by scoring, rendering and achievements
+  withQueue: (player, queueType = RankUtils.defaultQueue) => {
+    const queueData = PlayerUtils.getQueueData(player, queueType);
+    
+    return {
+      ...player,
+      queueType,
+      ranked: !!queueData,
+      tier: queueData ? queueData.tier : 'UNRANKED',
+      division: queueData ? queueData.division : '',
+      lp: queueData ? queueData.lp : 0,
+      wins: queueData ? queueData.wins : 0,
+      losses: queueData ? queueData.losses : 0,
+      hotStreak: queueData ? !!queueData.hotStreak : false,
+      baseline: PlayerUtils.getBaseline(player, queueType),
+      lpGained: PlayerUtils.getLpGained(player, queueType)
+    };
+  },
+
+  // Get the rank a player's progress in a queue is measured from
+  getBaseline: (player, queueType = RankUtils.defaultQueue) => {
+    return (player.baselines && player.baselines[queueType]) || null;
+  },
+
+  // Set the baseline rank for one queue
+  setBaseline: (player, queueType, data, recordedAt = new Date().toISOString()) => {
+    player.baselines = player.baselines || {};
+    player.baselines[queueType] = {
+      tier: data.tier,
+      division: data.division,
+      lp: data.lp || 0,
+      recordedAt
+    };
+    return player;
+  },
+
+  // Record a baseline for every ranked queue that has none yet, from the
+  // first snapshot in the player's history or else the current rank
+  recordMissingBaselines: (player, history = []) => {
+    Object.entries(player.queues || {}).forEach(([queueType, queueData]) => {
+      if (PlayerUtils.getBaseline(player, queueType)) return;
+      
+      const first = (history || []).find(snapshot => snapshot.queues && snapshot.queues[queueType]);
+      if (first) {
+        PlayerUtils.setBaseline(player, queueType, first.queues[queueType], first.timestamp);
+      } else {
+        PlayerUtils.setBaseline(player, queueType, queueData);
+      }
+    });
+    return player;
+  },
+
+  // Use the current rank of every queue as baseline (start of a season)
+  resetBaselines: (player) => {
+    player.baselines = {};
+    Object.entries(player.queues || {}).forEach(([queueType, queueData]) => {
+      PlayerUtils.setBaseline(player, queueType, queueData);
+    });
+    return player;
+  },
+
+  // Absolute LP gained since the baseline, negative after demotions.
+  // Null without a baseline or while unranked in the queue.
+  getLpGained: (player, queueType = RankUtils.defaultQueue) => {
+    const baseline = PlayerUtils.getBaseline(player, queueType);
+    const queueData = PlayerUtils.getQueueData(player, queueType);
+    
+    if (!baseline || !queueData) return null;
+    
+    return RankUtils.toAbsoluteLp(queueData.tier, queueData.division, queueData.lp) -
+      RankUtils.toAbsoluteLp(baseline.tier, baseline.division, baseline.lp);
+  },
+
+  // Set rank data for one queue
+  setQueueData: (player, queueType, data) => {
+    player.queues = player.queues || {};
+    player.queues[queueType] = {
+      tier: data.tier,
+      division: data.division,
+      lp: data.lp || 0,
+      wins: data.wins || 0,
+      losses: data.losses || 0
+    };
+    return player;
+  },
+
+  // Apply a ranked info response (proxy or mock) to a player
+  applyRankedInfo: (player, rankedInfo) => {
+    const queues = {};
+    
+    (rankedInfo.queues || []).forEach(entry => {
+      queues[entry.queueType] = {
+        tier: entry.tier,
+        division: entry.rank,
+        lp: entry.leaguePoints,
+        wins: entry.wins,
+        losses: entry.losses,
+        veteran: entry.veteran,
+        inactive: entry.inactive,
+        freshBlood: entry.freshBlood,
+        hotStreak: entry.hotStreak
+      };
+    });
+    
+    player.queues = queues;
+    player.lastUpdated = rankedInfo.lastUpdated;
+    
+    // Store additional data
+    player.puuid = rankedInfo.puuid;
+    player.summonerId = rankedInfo.summonerId;
+    player.summonerLevel = rankedInfo.summonerLevel;
+    
+    return player;
+  },
+
+  // Move flat tier/division/lp/wins/losses fields from older saves into
+  // the per-queue shape (they always described Solo/Duo)
+  migrateLegacyRankData: (player) => {
+    if (player.queues || !player.tier) {
+      player.queues = player.queues || {};
+      return player;
+    }
+    
+    const { tier, division, lp, wins, losses, veteran, inactive, freshBlood, hotStreak, ...rest } = player;
+    
+    return {
+      ...rest,
+      queues: {
+        'RANKED_SOLO_5x5': { tier, division, lp, wins, losses, veteran, inactive, freshBlood, hotStreak }
+      }
+    };
+  },
+
+  // Calculate player score with a scoring config (default: classic formula).
+  // history is the player's rank history, needed for LP climbed.
+  calculateScore: (player, scoring = null, history = []) => {
+    return ScoringUtils.calculate(player, ScoringUtils.normalizeConfig(scoring), history);
+  },
+
+  // Get player initials for avatar
+  getInitials: (name) => {
+    return name
+      .split(' ')
+      .map(word => word.charAt(0))
+      .join('')
+      .toUpperCase()
+      .slice(0, 2);
+  },
+
+  // Format win rate
+  formatWinRate: (wins, losses) => {
+    const total = wins + losses;
+    if (total === 0) return '0%';
+    return `${Math.round((wins / total) * 100)}%`;
+  },
+
+  // Format LP gained since the baseline, e.g. "+120 LP"
+  formatLpGained: (lpGained) => {
+    if (lpGained === null || lpGained === undefined) return '–';
+    return `${lpGained > 0 ? '+' : ''}${lpGained} LP`;
+  },
+
+  // Get win rate color class
+  getWinRateColorClass: (winRate) => {
+    if (winRate >= 70) return 'text-success';
+    if (winRate >= 55) return 'text-primary';
+    if (winRate >= 45) return 'text-warning';
+    return 'text-danger';
+  },
+
+  // Validate Riot ID format
+  validateRiotId: (riotId) => {
+    const pattern = /^[^#]+#[^#]+$/;
+    return pattern.test(riotId);
+  },
+
+  // Parse Riot ID
+  parseRiotId: (riotId) => {
+    const [gameName, tagLine] = riotId.split('#');
+    return { gameName, tagLine };
+  },
+
+  // Platform ID ("euw1") from a platform ID or short region name ("EUW"),
+  // null when unknown
+  parseRegion: (text) => {
+    const upper = (text || '').trim().toUpperCase();
+    const platform = Object.keys(MatchUtils.platformSlugs).find(platform => 
+      platform === upper || MatchUtils.platformSlugs[platform].toUpperCase() === upper
+    );
+    return platform ? platform.toLowerCase() : null;
+  }
+};
+
+/**
+ * Scoring utilities
+ */
+const ScoringUtils = {
+  // Score = rank score (absolute LP) * rankWeight
+  //       + LP climbed since the first recorded snapshot * climbWeight
+  //       + win rate points above winRateThreshold / 100 * winRateWeight
+  //         (once a player has winRateMinGames games)
+  //       + games * activityPerGame, up to activityCap
+  fields: [
+    { key: 'rankWeight', label: 'Rank weight (per LP)', min: 0, max: 10, step: 0.1 },
+    { key: 'climbWeight', label: 'LP climbed weight', min: 0, max: 10, step: 0.1 },
+    { key: 'winRateThreshold', label: 'Win rate bonus above (%)', min: 0, max: 100, step: 1 },
+    { key: 'winRateWeight', label: 'Win rate bonus weight', min: 0, max: 10000, step: 50 },
+    { key: 'winRateMinGames', label: 'Games before win rate counts', min: 0, max: 1000, step: 1 },
+    { key: 'activityPerGame', label: 'Activity bonus per game', min: 0, max: 100, step: 1 },
+    { key: 'activityCap', label: 'Activity bonus cap', min: 0, max: 10000, step: 10 }
+  ],
+
+  // Preset formulas
+  presets: {
+    classic: {
+      label: 'Classic (rank + win rate + activity)',
+      weights: { rankWeight: 1, climbWeight: 0, winRateThreshold: 60, winRateWeight: 500, winRateMinGames: 0, activityPerGame: 2, activityCap: 200 }
+    },
+    pureRank: {
+      label: 'Pure rank',
+      weights: { rankWeight: 1, climbWeight: 0, winRateThreshold: 0, winRateWeight: 0, winRateMinGames: 0, activityPerGame: 0, activityCap: 0 }
+    },
+    rankActivity: {
+      label: 'Rank + activity',
+      weights: { rankWeight: 1, climbWeight: 0, winRateThreshold: 0, winRateWeight: 0, winRateMinGames: 0, activityPerGame: 4, activityCap: 400 }
+    },
+    lpClimbed: {
+      label: 'LP climbed',
+      weights: { rankWeight: 0, climbWeight: 1, winRateThreshold: 0, winRateWeight: 0, winRateMinGames: 0, activityPerGame: 0, activityCap: 0 }
+    },
+    winRateWeighted: {
+      label: 'Win-rate weighted',
+      weights: { rankWeight: 1, climbWeight: 0, winRateThreshold: 50, winRateWeight: 2000, winRateMinGames: 10, activityPerGame: 0, activityCap: 0 }
+    }
+  },
+
+  defaultPreset: 'classic',
+
+  // Competition modes: rank with the scoring formula, or LP gained since each
+  // player's baseline (Climb)
+  modes: {
+    rank: 'Rank (scoring formula)',
+    climb: 'Climb (LP gained since baseline)'
+  },
+
+  defaultMode: 'rank',
+
+  // Config of a preset, 'custom' marks edited weights
+  getPresetConfig: (preset) => {
+    const known = ScoringUtils.presets[preset] ? preset : ScoringUtils.defaultPreset;
+    return { preset: known, ...ScoringUtils.presets[known].weights };
+  },
+
+  // Fill missing or invalid weights from the preset (or the default formula)
+  normalizeConfig: (config) => {
+    const base = ScoringUtils.getPresetConfig(config && config.preset);
+    
+    if (!config) return base;
+    
+    const normalized = { preset: ScoringUtils.presets[config.preset] ? config.preset : 'custom' };
+    ScoringUtils.fields.forEach(({ key }) => {
+      const value = parseFloat(config[key]);
+      normalized[key] = isNaN(value) ? base[key] : value;
+    });
+    
+    return normalized;
+  },
+
+  // Display label of a config's formula
+  getLabel: (config) => {
+    const preset = ScoringUtils.presets[config && config.preset];
+    return preset ? preset.label : 'Custom';
+  },
+
+  // LP gained (or lost) since the player's baseline, or else since the first
+  // snapshot recorded for the player's queue
+  getLpClimbed: (player, history = []) => {
+    const queueType = player.queueType || RankUtils.defaultQueue;
+    const lpGained = PlayerUtils.getLpGained(player, queueType);
+    
+    if (lpGained !== null) return lpGained;
+    
+    const first = (history || []).find(snapshot => snapshot.queues && snapshot.queues[queueType]);
+    
+    if (!first || player.tier === 'UNRANKED') return 0;
+    
+    const start = first.queues[queueType];
+    return RankUtils.toAbsoluteLp(player.tier, player.division, player.lp) -
+      RankUtils.toAbsoluteLp(start.tier, start.division, start.lp);
+  },
+
+  // Score a player (flattened with PlayerUtils.withQueue) with a normalized config
+  calculate: (player, config, history = []) => {
     const totalGames = player.wins + player.losses;
-    const winRate = totalGames > 0 ? player.wins / totalGames : 0;
+    const winRatePercent = totalGames > 0 ? (player.wins / totalGames) * 100 : 0;
     
     // Base score from rank
-    let score = rankScore;
+    let score = RankUtils.calculateRankScore(player.tier, player.division, player.lp) * config.rankWeight;
+    
+    // Progress since the start of tracking
+    if (config.climbWeight) {
+      score += ScoringUtils.getLpClimbed(player, history) * config.climbWeight;
+    }
     
     // Bonus for high win rate
-    if (winRate > 0.6) {
-      score += (winRate - 0.6) * 500;
+    if (totalGames >= config.winRateMinGames && winRatePercent > config.winRateThreshold) {
+      score += ((winRatePercent - config.winRateThreshold) / 100) * config.winRateWeight;
     }
     
     // Bonus for games played (activity)
-    score += Math.min(totalGames * 2, 200);
+    score += Math.min(totalGames * config.activityPerGame, config.activityCap);
     
     return Math.round(score);
+  }
+};
+
+/**
+ * Handicap utilities
+ */
+const HandicapUtils = {
+  // A handicap multiplies the LP a player gained since their baseline (Climb
+  // mode): 1 + perTier for every ladder tier above Iron the player started
+  // in, up to max, since LP is harder to gain at high elo. With the defaults
+  // Iron IV -> Bronze II (600 LP, x1) and Diamond IV -> Diamond II (200 LP,
+  // x2.5) end up close. Absolute rank scores are never multiplied.
+  rules: {
+    off: 'Off',
+    tier: 'By starting tier'
+  },
+
+  fields: [
+    { key: 'perTier', label: 'Handicap per tier', min: 0, max: 2, step: 0.05 },
+    { key: 'max', label: 'Maximum handicap', min: 1, max: 10, step: 0.1 }
+  ],
+
+  defaults: { rule: 'off', perTier: 0.25, max: 3 },
+
+  // Fill missing or invalid rules from the defaults
+  normalizeConfig: (config) => {
+    const normalized = { rule: HandicapUtils.rules[config && config.rule] ? config.rule : HandicapUtils.defaults.rule };
+    
+    HandicapUtils.fields.forEach(({ key, min, max }) => {
+      const value = parseFloat(config && config[key]);
+      normalized[key] = isNaN(value) ? HandicapUtils.defaults[key] : Math.min(Math.max(value, min), max);
+    });
+    
+    return normalized;
+  },
+
+  // Check if handicaps apply to the leaderboard
+  isEnabled: (config) => {
+    return !!config && config.rule !== 'off' && !!HandicapUtils.rules[config.rule];
+  },
+
+  // Tier a player (flattened with PlayerUtils.withQueue) started the competition in
+  getStartingTier: (player) => {
+    return player.baseline ? player.baseline.tier : player.tier;
+  },
+
+  // Handicap derived from the ladder position of a tier, growing with the tier
+  getTierHandicap: (tier, config) => {
+    const index = RankUtils.getTierIndex(tier);
+    
+    if (index < 0) return 1;
+    
+    const handicap = Math.min(1 + index * config.perTier, config.max);
+    return Math.round(handicap * 100) / 100;
+  },
+
+  // Manual handicap when set on the player, else the one of their starting tier
+  getHandicap: (player, config) => {
+    if (typeof player.handicapOverride === 'number') {
+      return player.handicapOverride;
+    }
+    return HandicapUtils.getTierHandicap(HandicapUtils.getStartingTier(player), config);
+  },
+
+  // Adjusted score
+  apply: (score, handicap) => {
+    return Math.round(score * handicap);
+  },
+
+  // Format a handicap, e.g. "×1.25"
+  format: (handicap) => {
+    return `×${handicap.toFixed(2)}`;
+  }
+};
+
+/**
+ * Achievement utilities
+ */
+const AchievementUtils = {
+  // Achievement definitions
+  achievements: [
+    {
+      id: 'first_blood',
+      title: 'First Blood',
+      description: 'First to reach Bronze rank',
+      icon: '🥉',
+      permanent: true,
+      reached: (p) => RankUtils.isAtLeastTier(p.tier, 'BRONZE')
+    },
+    {
+      id: 'silver_surfer',
+      title: 'Silver Surfer',
+      description: 'First to reach Silver rank',
+      icon: '🥈',
+      permanent: true,
+      reached: (p) => RankUtils.isAtLeastTier(p.tier, 'SILVER')
+    },
+    {
+      id: 'golden_god',
+      title: 'Golden God',
+      description: 'First to reach Gold rank',
+      icon: '🥇',
+      permanent: true,
+      reached: (p) => RankUtils.isAtLeastTier(p.tier, 'GOLD')
+    },
+    {
+      id: 'platinum_prince',
+      title: 'Platinum Prince',
+      description: 'First to reach Platinum rank',
+      icon: '💎',
+      permanent: true,
+      reached: (p) => RankUtils.isAtLeastTier(p.tier, 'PLATINUM')
+    },
+    {
+      id: 'emerald_emperor',
+      title: 'Emerald Emperor',
+      description: 'First to reach Emerald rank',
+      icon: '💚',
+      permanent: true,
+      reached: (p) => RankUtils.isAtLeastTier(p.tier, 'EMERALD')
+    },
+    {
+      id: 'diamond_deity',
+      title: 'Diamond Deity',
+      description: 'First to reach Diamond rank',
+      icon: '💍',
+      permanent: true,
+      reached: (p) => RankUtils.isAtLeastTier(p.tier, 'DIAMOND')
+    },
+    {
+      id: 'win_streak',
+      title: 'Win Streak',
+      description: 'Highest win rate above 70%',
+      icon: '🔥',
+      condition: (players) => {
+        const highWinRatePlayers = players.filter(p => {
+          const total = p.wins + p.losses;
+          return total >= 10 && (p.wins / total) >= 0.7;
+        });
+        
+        if (highWinRatePlayers.length === 0) return null;
+        
+        return highWinRatePlayers.reduce((best, current) => {
+          const currentWinRate = current.wins / (current.wins + current.losses);
+          const bestWinRate = best.wins / (best.wins + best.losses);
+          return currentWinRate > bestWinRate ? current : best;
+        });
+      }
+    },
+    {
+      id: 'grinder',
+      title: 'The Grinder',
+      description: 'Most games played (50+ games)',
+      icon: '⚡',
+      condition: (players) => {
+        const activePlayers = players.filter(p => (p.wins + p.losses) >= 50);
+        if (activePlayers.length === 0) return null;
+        
+        return activePlayers.reduce((most, current) => {
+          const currentGames = current.wins + current.losses;
+          const mostGames = most.wins + most.losses;
+          return currentGames > mostGames ? current : most;
+        });
+      }
+    },
+    {
+      id: 'king_of_hill',
+      title: 'King of the Hill',
+      description: 'Current #1 on leaderboard',
+      icon: '👑',
+      condition: (players) => {
+        if (players.length === 0) return null;
+        
+        // Players from the leaderboard carry the score of the configured formula
+        const getScore = (p) => p.score !== undefined ? p.score : PlayerUtils.calculateScore(p);
+        const sorted = [...players].sort((a, b) => getScore(b) - getScore(a));
+        
+        return sorted[0];
+      }
+    },
+    {
+      id: 'consistency',
+      title: 'Mr. Consistent',
+      description: 'Most weeks with 5+ games played',
+      icon: '📈',
+      condition: (players, history) => {
+        return AchievementUtils.findBest(players, player => {
+          const weeks = HistoryUtils.sumByPeriod(AchievementUtils.getDeltas(player, history), DateUtils.getWeekKey);
+          return Object.values(weeks).filter(week => week.games >= 5).length;
+        }, 1);
+      }
+    },
+    {
+      id: 'comeback_kid',
+      title: 'Comeback Kid',
+      description: 'Biggest recovery from a low point (100+ LP)',
+      icon: '🚀',
+      condition: (players, history) => {
+        return AchievementUtils.findBest(players, player => 
+          HistoryUtils.getBiggestRecovery(AchievementUtils.getSeries(player, history)), 100);
+      }
+    },
+    {
+      id: 'day_climber',
+      title: 'Rocket Day',
+      description: 'Biggest LP climb in a single day',
+      icon: '☄️',
+      condition: (players, history) => {
+        return AchievementUtils.findBest(players, player => {
+          const days = HistoryUtils.sumByPeriod(AchievementUtils.getDeltas(player, history), DateUtils.getDayKey);
+          return Math.max(0, ...Object.values(days).map(day => day.lp));
+        }, 1);
+      }
+    },
+    {
+      id: 'daily_grind',
+      title: 'Daily Grind',
+      description: 'Longest streak of days with games played (2+ days)',
+      icon: '📆',
+      condition: (players, history) => {
+        return AchievementUtils.findBest(players, player => {
+          const days = HistoryUtils.sumByPeriod(AchievementUtils.getDeltas(player, history), DateUtils.getDayKey);
+          return DateUtils.getLongestDayStreak(Object.keys(days).filter(day => days[day].games > 0));
+        }, 2);
+      }
+    },
+    {
+      id: 'most_improved',
+      title: 'Most Improved',
+      description: 'Biggest LP gain in a calendar month',
+      icon: '🌱',
+      condition: (players, history) => {
+        return AchievementUtils.findBest(players, player => {
+          const months = HistoryUtils.sumByPeriod(AchievementUtils.getDeltas(player, history), DateUtils.getMonthKey);
+          return Math.max(0, ...Object.values(months).map(month => month.lp));
+        }, 1);
+      }
+    },
+    {
+      id: 'penta_party',
+      title: 'Penta Party',
+      description: 'First pentakill',
+      icon: '🖐️',
+      permanent: true,
+      findMatch: (match) => match.pentaKills > 0
+    },
+    {
+      id: 'kda_king',
+      title: 'KDA King',
+      description: 'Highest KDA in a single game',
+      icon: '🗡️',
+      condition: (players, history, matches) => {
+        return AchievementUtils.findBestMatch(players, matches, MatchUtils.getKda, 0);
+      }
+    },
+    {
+      id: 'one_trick',
+      title: 'One-Trick Pony',
+      description: 'Most games on one champion (10+)',
+      icon: '🎯',
+      condition: (players, history, matches) => {
+        let best = null;
+        
+        players.forEach(player => {
+          const byChampion = {};
+          (matches[player.id] || []).forEach(match => {
+            byChampion[match.champion] = [...(byChampion[match.champion] || []), match];
+          });
+          
+          Object.values(byChampion).forEach(games => {
+            if (games.length >= 10 && (!best || games.length > best.count)) {
+              best = { player, count: games.length, match: games[games.length - 1] };
+            }
+          });
+        });
+        
+        return best ? { ...best.player, earnedMatch: best.match } : null;
+      }
+    },
+    {
+      id: 'marathon',
+      title: 'Marathon',
+      description: 'Longest game played',
+      icon: '⏳',
+      condition: (players, history, matches) => {
+        return AchievementUtils.findBestMatch(players, matches, match => match.duration, 0);
+      }
+    },
+    {
+      id: 'feeding_frenzy',
+      title: 'Feeding Frenzy',
+      description: 'Most deaths in a lost game',
+      icon: '💀',
+      condition: (players, history, matches) => {
+        return AchievementUtils.findBestMatch(players, matches, match => match.win ? -1 : match.deaths, 1);
+      }
+    }
+  ],
+
+  // Permanent ("first to") achievements are unlocked once, when an update
+  // shows a player reaching them, and stored as { playerId, earnedBy, earnedAt }.
+  // Unlock the ones a player reached between two states (before is null for a
+  // new player); players are flattened with PlayerUtils.withQueue.
+  detectUnlocks: (unlocked, before, after, timestamp = new Date().toISOString(), achievements = AchievementUtils.achievements) => {
+    const unlocks = [];
+    
+    achievements.forEach(achievement => {
+      if (!achievement.reached || unlocked[achievement.id]) return;
+      
+      if (achievement.reached(after) && !(before && achievement.reached(before))) {
+        unlocked[achievement.id] = { playerId: after.id, earnedBy: after.name, earnedAt: timestamp };
+        unlocks.push(achievement.id);
+      }
+    });
+    
+    return unlocks;
+  },
+
+  // Unlock still locked permanent achievements from recorded rank history,
+  // for data saved before unlocks were stored
+  backfillUnlocks: (unlocked, players, history, queueType = RankUtils.defaultQueue, achievements = AchievementUtils.achievements) => {
+    achievements.forEach(achievement => {
+      if (!achievement.reached || unlocked[achievement.id]) return;
+      
+      let first = null;
+      
+      players.forEach(player => {
+        const snapshot = (history[player.id] || []).find(entry => 
+          achievement.reached(PlayerUtils.withQueue({ ...player, queues: entry.queues }, queueType))
+        );
+        
+        if (snapshot && (!first || snapshot.timestamp < first.earnedAt)) {
+          first = { playerId: player.id, earnedBy: player.name, earnedAt: snapshot.timestamp };
+        }
+      });
+      
+      if (first) {
+        unlocked[achievement.id] = first;
+      }
+    });
+    
+    return unlocked;
+  },
+
+  // Unlock permanent match achievements with a player's newly stored matches
+  // (oldest first); the unlock keeps the ID of the match that earned it
+  detectMatchUnlocks: (unlocked, player, newMatches, achievements = AchievementUtils.achievements) => {
+    const unlocks = [];
+    
+    achievements.forEach(achievement => {
+      if (!achievement.findMatch || unlocked[achievement.id]) return;
+      
+      const match = newMatches.find(achievement.findMatch);
+      if (match) {
+        unlocked[achievement.id] = {
+          playerId: player.id,
+          earnedBy: player.name,
+          earnedAt: match.playedAt,
+          matchId: match.matchId
+        };
+        unlocks.push(achievement.id);
+      }
+    });
+    
+    return unlocks;
+  },
+
+  // Player with the single game scoring highest, if it reaches the minimum,
+  // carrying that game as earnedMatch
+  findBestMatch: (players, matches, score, minimum) => {
+    let best = null;
+    
+    players.forEach(player => {
+      (matches[player.id] || []).forEach(match => {
+        const value = score(match);
+        if (value >= minimum && (!best || value > best.value)) {
+          best = { player, match, value };
+        }
+      });
+    });
+    
+    return best ? { ...best.player, earnedMatch: best.match } : null;
+  },
+
+  // Rank history of a leaderboard player in their queue
+  getSeries: (player, history = {}) => {
+    return HistoryUtils.getQueueSeries(history[player.id], player.queueType || RankUtils.defaultQueue);
+  },
+
+  // Changes between a leaderboard player's consecutive snapshots
+  getDeltas: (player, history = {}) => {
+    return HistoryUtils.getDeltas(AchievementUtils.getSeries(player, history));
+  },
+
+  // Player with the highest metric, if it reaches the minimum
+  findBest: (players, metric, minimum) => {
+    let best = null;
+    let bestValue = minimum;
+    
+    players.forEach(player => {
+      const value = metric(player);
+      if (value >= bestValue && (!best || value > bestValue)) {
+        best = player;
+        bestValue = value;
+      }
+    });
+    
+    return best;
+  },
+
+  // Stored unlocks of permanent achievements plus the current holders of the
+  // others, some decided by rank history or stored matches. Holders of stored
+  // unlocks show under their current name.
+  checkAchievements: (players, unlocked = {}, history = {}, achievements = AchievementUtils.achievements, matches = {}) => {
+    const earnedAchievements = {};
+    
+    achievements.forEach(achievement => {
+      if (achievement.permanent) {
+        const unlock = unlocked[achievement.id];
+        if (unlock) {
+          const holder = players.find(p => p.id === unlock.playerId);
+          earnedAchievements[achievement.id] = {
+            ...achievement,
+            ...unlock,
+            earnedBy: holder ? holder.name : unlock.earnedBy
+          };
+        }
+        return;
+      }
+      
+      // "Everyone who" achievements have several holders
+      const winners = [].concat(achievement.condition(players, history, matches) || []);
+      if (winners.length > 0) {
+        earnedAchievements[achievement.id] = {
+          ...achievement,
+          playerId: winners[0].id,
+          earnedBy: winners.map(winner => winner.name).join(', '),
+          earnedAt: null,
+          matchId: winners[0].earnedMatch ? winners[0].earnedMatch.matchId : null
+        };
+      }
+    });
+    
+    return earnedAchievements;
+  },
+
+  // Stored unlocks, oldest first
+  getTimeline: (unlocked, achievements = AchievementUtils.achievements) => {
+    return achievements
+      .filter(achievement => achievement.permanent && unlocked[achievement.id])
+      .map(achievement => ({ ...achievement, ...unlocked[achievement.id] }))
+      .sort((a, b) => new Date(a.earnedAt) - new Date(b.earnedAt));
+  },
+
+  // Player fields custom achievement rules can test
+  customFields: {
+    tier: { label: 'Tier', get: (p) => RankUtils.getTierIndex(p.tier), parse: (value) => RankUtils.getTierIndex(value) },
+    lp: { label: 'LP', get: (p) => p.lp },
+    wins: { label: 'Wins', get: (p) => p.wins },
+    losses: { label: 'Losses', get: (p) => p.losses },
+    winRate: {
+      label: 'Win rate (%)',
+      get: (p) => {
+        const total = p.wins + p.losses;
+        return total > 0 ? (p.wins / total) * 100 : 0;
+      }
+    },
+    games: { label: 'Games', get: (p) => p.wins + p.losses },
+    summonerLevel: { label: 'Summoner level', get: (p) => p.summonerLevel || 0 },
+    hotStreak: { label: 'Hot streak', get: (p) => p.hotStreak ? 1 : 0, parse: (value) => value === true || value === 'true' ? 1 : 0 }
+  },
+
+  operators: {
+    '>=': { label: '≥', test: (a, b) => a >= b },
+    '>': { label: '>', test: (a, b) => a > b },
+    '<=': { label: '≤', test: (a, b) => a <= b },
+    '<': { label: '<', test: (a, b) => a < b },
+    '==': { label: '=', test: (a, b) => a === b },
+    '!=': { label: '≠', test: (a, b) => a !== b }
+  },
+
+  // first: permanent unlock of the first player matching the rule;
+  // highest/lowest: matching player with the highest/lowest field value;
+  // everyone: all matching players
+  customModes: {
+    first: 'First to',
+    highest: 'Highest',
+    lowest: 'Lowest',
+    everyone: 'Everyone who'
+  },
+
+  // Clean up a custom achievement definition, null when it can't be evaluated
+  normalizeDefinition: (definition) => {
+    if (!definition || typeof definition !== 'object') return null;
+    
+    const title = String(definition.title || '').trim();
+    const field = AchievementUtils.customFields[definition.field];
+    
+    if (!title || !field || !AchievementUtils.operators[definition.operator] || !AchievementUtils.customModes[definition.mode]) {
+      return null;
+    }
+    
+    return {
+      id: definition.id || `custom_${RandomUtils.generateUUID()}`,
+      title,
+      icon: String(definition.icon || '').trim() || '⭐',
+      description: String(definition.description || '').trim(),
+      field: definition.field,
+      operator: definition.operator,
+      value: definition.field === 'tier' || definition.field === 'hotStreak' ?
+        String(definition.value) :
+        (parseFloat(definition.value) || 0),
+      mode: definition.mode
+    };
+  },
+
+  // Check a player (flattened with PlayerUtils.withQueue) against a custom rule
+  matchesRule: (definition, player) => {
+    const field = AchievementUtils.customFields[definition.field];
+    const value = field.parse ? field.parse(definition.value) : parseFloat(definition.value);
+    return AchievementUtils.operators[definition.operator].test(field.get(player), value);
+  },
+
+  // Describe a custom rule, e.g. "First to Win rate (%) ≥ 60"
+  describeRule: (definition) => {
+    const field = AchievementUtils.customFields[definition.field];
+    const value = definition.field === 'tier' ? RankUtils.getTierLabel(definition.value) : definition.value;
+    return `${AchievementUtils.customModes[definition.mode]} ${field.label} ${AchievementUtils.operators[definition.operator].label} ${value}`;
+  },
+
+  // Turn a custom definition into an achievement evaluated like the built-in ones
+  fromDefinition: (definition) => {
+    const field = AchievementUtils.customFields[definition.field];
+    const matches = (player) => AchievementUtils.matchesRule(definition, player);
+    const achievement = {
+      id: definition.id,
+      title: definition.title,
+      description: definition.description || AchievementUtils.describeRule(definition),
+      icon: definition.icon,
+      custom: true
+    };
+    
+    if (definition.mode === 'first') {
+      return { ...achievement, permanent: true, reached: matches };
+    }
+    
+    return {
+      ...achievement,
+      condition: (players) => {
+        const matching = players.filter(matches);
+        
+        if (matching.length === 0) return null;
+        if (definition.mode === 'everyone') return matching;
+        
+        return matching.reduce((best, current) => {
+          const isBetter = definition.mode === 'lowest' ?
+            field.get(current) < field.get(best) :
+            field.get(current) > field.get(best);
+          return isBetter ? current : best;
+        });
+      }
+    };
+  },
+
+  // Built-in achievements followed by a competition's custom ones
+  getAll: (customDefinitions = []) => {
+    return [...AchievementUtils.achievements, ...customDefinitions.map(AchievementUtils.fromDefinition)];
+  }
+};
+
+/**
+ * Rank history utilities
+ */
+const HistoryUtils = {
+  // Default number of snapshots kept per player
+  defaultLimit: 200,
+
+  // Build a timestamped snapshot of a player's per-queue rank data
+  createSnapshot: (player, timestamp = new Date().toISOString()) => {
+    const queues = {};
+    
+    Object.entries(player.queues || {}).forEach(([queueType, queueData]) => {
+      queues[queueType] = {
+        tier: queueData.tier,
+        division: queueData.division,
+        lp: queueData.lp,
+        wins: queueData.wins,
+        losses: queueData.losses
+      };
+    });
+    
+    return { timestamp, queues };
+  },
+
+  // Check if two snapshots hold the same rank data (timestamps ignored)
+  isSameSnapshot: (a, b) => {
+    if (!a || !b) return false;
+    return JSON.stringify(a.queues) === JSON.stringify(b.queues);
+  },
+
+  // Append a snapshot to a player's history, skipping identical consecutive
+  // snapshots and dropping the oldest ones beyond the limit
+  recordSnapshot: (history, player, limit = HistoryUtils.defaultLimit) => {
+    const entries = history[player.id] || [];
+    const snapshot = HistoryUtils.createSnapshot(player, player.lastUpdated);
+    
+    if (HistoryUtils.isSameSnapshot(entries[entries.length - 1], snapshot)) {
+      return false;
+    }
+    
+    entries.push(snapshot);
+    history[player.id] = entries.slice(-Math.max(1, limit));
+    return true;
+  },
+
+  // Absolute LP and games played over time in one queue:
+  // [{ timestamp, lp, games }] from the snapshots ranked in it
+  getQueueSeries: (entries, queueType = RankUtils.defaultQueue) => {
+    return (entries || [])
+      .filter(entry => entry.queues && entry.queues[queueType])
+      .map(entry => {
+        const queueData = entry.queues[queueType];
+        return {
+          timestamp: entry.timestamp,
+          lp: RankUtils.toAbsoluteLp(queueData.tier, queueData.division, queueData.lp),
+          games: (queueData.wins || 0) + (queueData.losses || 0)
+        };
+      });
+  },
+
+  // LP and games gained between consecutive points of a series, stamped with
+  // the time of the later point
+  getDeltas: (series) => {
+    return series.slice(1).map((point, index) => ({
+      timestamp: point.timestamp,
+      lp: point.lp - series[index].lp,
+      games: Math.max(0, point.games - series[index].games)
+    }));
+  },
+
+  // Sum deltas per period, keyed by getKey(timestamp)
+  sumByPeriod: (deltas, getKey) => {
+    const periods = {};
+    
+    deltas.forEach(delta => {
+      const key = getKey(delta.timestamp);
+      periods[key] = periods[key] || { lp: 0, games: 0 };
+      periods[key].lp += delta.lp;
+      periods[key].games += delta.games;
+    });
+    
+    return periods;
+  },
+
+  // Biggest climb from a low point, a point below an earlier peak, to any
+  // later point
+  getBiggestRecovery: (series) => {
+    let peak = -Infinity;
+    let low = null;
+    let best = 0;
+    
+    series.forEach(({ lp }) => {
+      if (low !== null) {
+        best = Math.max(best, lp - low);
+      }
+      if (lp < peak && (low === null || lp < low)) {
+        low = lp;
+      }
+      peak = Math.max(peak, lp);
+    });
+    
+    return best;
+  },
+
+  // Trim every player's history to the limit
+  trimAll: (history, limit = HistoryUtils.defaultLimit) => {
+    Object.keys(history).forEach(playerId => {
+      history[playerId] = history[playerId].slice(-Math.max(1, limit));
+    });
+    return history;
+  }
+};
+
+/**
+ * Season archive utilities
+ */
+const SeasonUtils = {
+  // Suggest the next season name: "Season 2025" becomes "Season 2026"
+  getNextSeasonName: (season) => {
+    const match = (season || '').match(/^(.*?)(\d+)(\D*)$/);
+    
+    if (!match) return `${season || 'Season'} 2`;
+    
+    return `${match[1]}${parseInt(match[2]) + 1}${match[3]}`;
+  },
+
+  // Freeze the final standings (players ranked and flattened for the
+  // competition queue) and achievement winners of a season
+  createArchiveEntry: (settings, rankedPlayers, earnedAchievements, endedAt = new Date().toISOString()) => {
+    const standings = rankedPlayers.map((player, index) => ({
+      rank: index + 1,
+      playerId: player.id,
+      name: player.name,
+      riotId: player.riotId,
+      tier: player.tier,
+      division: player.division,
+      lp: player.lp,
+      wins: player.wins,
+      losses: player.losses,
+      score: player.score,
+      rawScore: player.rawScore !== undefined ? player.rawScore : player.score,
+      handicap: player.handicap !== undefined ? player.handicap : null,
+      lpGained: player.lpGained !== undefined ? player.lpGained : null
+    }));
+    
+    const achievements = {};
+    Object.entries(earnedAchievements).forEach(([id, achievement]) => {
+      achievements[id] = {
+        title: achievement.title,
+        icon: achievement.icon,
+        earnedBy: achievement.earnedBy,
+        earnedAt: achievement.earnedAt || null,
+        matchId: achievement.matchId || null
+      };
+    });
+    
+    return {
+      id: `season_${Date.parse(endedAt)}`,
+      season: settings.season,
+      competitionName: settings.competitionName,
+      queue: settings.queue,
+      mode: settings.mode,
+      scoringLabel: ScoringUtils.getLabel(settings.scoring),
+      startedAt: settings.seasonStartedAt || null,
+      endedAt,
+      champion: standings.length > 0 && rankedPlayers[0].ranked ? standings[0] : null,
+      standings,
+      achievements
+    };
+  }
+};
+
+/**
+ * Competition utilities
+ */
+const CompetitionUtils = {
+  // Parts of the app state every competition has its own copy of
+  dataKeys: ['players', 'achievements', 'customAchievements', 'history', 'matches', 'archive', 'settings'],
+
+  // Create an empty competition
+  create: (settings) => {
+    return {
+      id: RandomUtils.generateUUID(),
+      players: [],
+      achievements: {},
+      customAchievements: [],
+      history: {},
+      matches: {},
+      archive: [],
+      settings: { ...settings }
+    };
+  },
+
+  // Copy the per-competition data out of a state object
+  pick: (state) => {
+    const data = {};
+    CompetitionUtils.dataKeys.forEach(key => {
+      data[key] = state[key];
+    });
+    return data;
+  },
+
+  // Older saves held a single competition at the top level
+  migrateSavedState: (savedState) => {
+    if (Array.isArray(savedState.competitions)) {
+      return savedState;
+    }
+    
+    const competition = { id: RandomUtils.generateUUID(), ...CompetitionUtils.pick(savedState) };
+    return { competitions: [competition], activeCompetitionId: competition.id };
+  }
+};
+
+/**
+ * Schema migrations of the saved state and export files
+ */
+const MigrationUtils = {
+  // Each step upgrades data from version - 1 to version. Version 1 is the
+  // single competition state (also the format of older exports), version 2
+  // the list of competitions.
+  steps: [
+    {
+      version: 2,
+      description: 'Move the single competition into a list of competitions',
+      migrate: (data) => {
+        const { competitions, activeCompetitionId } = CompetitionUtils.migrateSavedState(data);
+        
+        // Older versions kept the Riot API key in the settings
+        competitions.forEach(competition => {
+          if (competition.settings) {
+            delete competition.settings.apiKey;
+          }
+        });
+        
+        return { competitions, activeCompetitionId };
+      }
+    },
+    {
+      version: 3,
+      description: 'Give every competition all its data and per-queue rank data',
+      migrate: (data) => ({
+        ...data,
+        competitions: data.competitions.map(competition => {
+          // Malformed entries are left for import validation to report
+          if (!ImportUtils.isObject(competition)) return competition;
+          
+          const complete = CompetitionUtils.create(competition.settings || {});
+          
+          Object.entries(competition).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) {
+              complete[key] = value;
+            }
+          });
+          if (Array.isArray(complete.players)) {
+            complete.players = complete.players.map(player => 
+              ImportUtils.isObject(player) ? PlayerUtils.migrateLegacyRankData(player) : player
+            );
+          }
+          
+          return complete;
+        })
+      })
+    }
+  ],
+
+  currentVersion: 3,
+
+  // Schema version of saved or exported data
+  getVersion: (data) => {
+    if (data.schemaVersion) return data.schemaVersion;
+    return Array.isArray(data.competitions) ? 2 : 1;
+  },
+
+  // Run the steps newer than the data's version, returns { data, migrated }
+  migrate: (data) => {
+    const version = MigrationUtils.getVersion(data);
+    
+    if (version > MigrationUtils.currentVersion) {
+      throw new Error(`Data schema version ${version} is newer than this app supports (${MigrationUtils.currentVersion})`);
+    }
+    
+    const migrated = MigrationUtils.steps
+      .filter(step => step.version > version)
+      .reduce((current, step) => step.migrate(current), data);
+    
+    return {
+      data: { ...migrated, schemaVersion: MigrationUtils.currentVersion },
+      migrated: version < MigrationUtils.currentVersion
+    };
+  }
+};
+
+/**
+ * Import file validation and merging
+ */
+const ImportUtils = {
+  // Player fields compared when merging. Both sides setting different values
+  // is a conflict; rank data instead follows the most recent update.
+  mergeFields: {
+    name: 'Display name',
+    riotId: 'Riot ID',
+    region: 'Region',
+    baselines: 'Baselines',
+    handicapOverride: 'Handicap override'
+  },
+
+  // Check if a value is a plain object (not an array)
+  isObject: (value) => {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  },
+
+  // Check if a field holds no value
+  isEmpty: (value) => {
+    if (value === undefined || value === null || value === '') return true;
+    return ImportUtils.isObject(value) && Object.keys(value).length === 0;
+  },
+
+  // Check if two field values are equal
+  isSame: (a, b) => {
+    return JSON.stringify(a) === JSON.stringify(b);
+  },
+
+  // Problems with one queue's rank data
+  validateRank: (rank, path) => {
+    if (!ImportUtils.isObject(rank)) {
+      return [`${path} is not an object`];
+    }
+    
+    const errors = [];
+    
+    if (RankUtils.getTierIndex(rank.tier) < 0) {
+      errors.push(rank.tier ? `${path}.tier "${rank.tier}" is not a tier` : `${path}.tier is missing`);
+    }
+    if (!RankUtils.divisions.includes(rank.division)) {
+      errors.push(rank.division ? `${path}.division "${rank.division}" is not a division` : `${path}.division is missing`);
+    }
+    if (typeof rank.lp !== 'number' || rank.lp < 0) {
+      errors.push(`${path}.lp must be a number of at least 0`);
+    }
+    ['wins', 'losses'].forEach(field => {
+      if (rank[field] !== undefined && (typeof rank[field] !== 'number' || rank[field] < 0)) {
+        errors.push(`${path}.${field} must be a number of at least 0`);
+      }
+    });
+    
+    return errors;
+  },
+
+  // Problems with one player record
+  validatePlayer: (player) => {
+    if (!ImportUtils.isObject(player)) {
+      return ['is not an object'];
+    }
+    
+    const errors = [];
+    
+    if (typeof player.id !== 'string' || player.id === '') {
+      errors.push('id is missing');
+    }
+    if (typeof player.name !== 'string' || player.name.trim() === '') {
+      errors.push('name is missing');
+    }
+    if (typeof player.riotId !== 'string' || !PlayerUtils.validateRiotId(player.riotId)) {
+      errors.push('riotId must be in format Name#TAG');
+    }
+    if (typeof player.region !== 'string' || player.region === '') {
+      errors.push('region is missing');
+    }
+    
+    ['queues', 'baselines'].forEach(field => {
+      if (player[field] === undefined && field === 'baselines') return;
+      
+      if (!ImportUtils.isObject(player[field])) {
+        errors.push(`${field} must be an object`);
+        return;
+      }
+      Object.entries(player[field]).forEach(([queueType, rank]) => {
+        errors.push(...ImportUtils.validateRank(rank, `${field}.${queueType}`));
+      });
+    });
+    
+    if (player.handicapOverride !== undefined && player.handicapOverride !== null &&
+        (typeof player.handicapOverride !== 'number' || player.handicapOverride <= 0)) {
+      errors.push('handicapOverride must be a positive number');
+    }
+    
+    return errors;
+  },
+
+  // Validate migrated import data, returns one { record, errors } issue per
+  // invalid competition or player (empty when the data is valid)
+  validate: (data) => {
+    if (!Array.isArray(data.competitions) || data.competitions.length === 0) {
+      return [{ record: 'File', errors: ['contains no competitions'] }];
+    }
+    
+    const issues = [];
+    
+    data.competitions.forEach((competition, index) => {
+      const name = competition && competition.settings && competition.settings.competitionName;
+      const record = `Competition ${index + 1}${name ? ` ("${name}")` : ''}`;
+      
+      if (!ImportUtils.isObject(competition)) {
+        issues.push({ record, errors: ['is not an object'] });
+        return;
+      }
+      
+      const errors = [];
+      
+      if (typeof competition.id !== 'string' || competition.id === '') {
+        errors.push('id is missing');
+      }
+      ['settings', 'achievements', 'history', 'matches'].forEach(field => {
+        if (!ImportUtils.isObject(competition[field])) {
+          errors.push(`${field} must be an object`);
+        }
+      });
+      ['players', 'customAchievements', 'archive'].forEach(field => {
+        if (!Array.isArray(competition[field])) {
+          errors.push(`${field} must be a list`);
+        }
+      });
+      
+      if (errors.length > 0) {
+        issues.push({ record, errors });
+      }
+      if (!Array.isArray(competition.players)) return;
+      
+      const seenIds = new Set();
+      const seenRiotIds = new Set();
+      
+      competition.players.forEach((player, playerIndex) => {
+        const label = player && (player.riotId || player.name);
+        const playerErrors = ImportUtils.validatePlayer(player);
+        const riotId = player && typeof player.riotId === 'string' ? player.riotId.toLowerCase() : null;
+        
+        if (player && seenIds.has(player.id)) {
+          playerErrors.push(`id "${player.id}" is used by another player`);
+        }
+        if (riotId && seenRiotIds.has(riotId)) {
+          playerErrors.push(`riotId "${player.riotId}" is used by another player`);
+        }
+        seenIds.add(player && player.id);
+        seenRiotIds.add(riotId);
+        
+        if (playerErrors.length > 0) {
+          issues.push({ record: `${record}, player ${playerIndex + 1}${label ? ` (${label})` : ''}`, errors: playerErrors });
+        }
+      });
+    });
+    
+    return issues;
+  },
+
+  // Existing player an imported one refers to: same ID, else same Riot ID
+  findMatch: (players, player) => {
+    return players.find(p => p.id === player.id) ||
+      players.find(p => p.riotId.toLowerCase() === player.riotId.toLowerCase());
+  },
+
+  // Differences between an existing player and its imported version, as
+  // [{ field, label, current, incoming, conflict }]
+  getChanges: (current, incoming) => {
+    const changes = [];
+    
+    Object.entries(ImportUtils.mergeFields).forEach(([field, label]) => {
+      if (ImportUtils.isEmpty(incoming[field]) || ImportUtils.isSame(current[field], incoming[field])) return;
+      
+      changes.push({
+        field,
+        label,
+        current: current[field],
+        incoming: incoming[field],
+        conflict: !ImportUtils.isEmpty(current[field])
+      });
+    });
+    
+    if (!ImportUtils.isSame(current.queues, incoming.queues) &&
+        new Date(incoming.lastUpdated) > new Date(current.lastUpdated)) {
+      changes.push({ field: 'queues', label: 'Rank data', current: current.queues, incoming: incoming.queues, conflict: false });
+    }
+    
+    return changes;
+  },
+
+  // Sort imported players into added, updated, conflicting and unchanged
+  // ones, each entry being { incoming, current, changes }
+  previewMerge: (currentPlayers, incomingPlayers) => {
+    const preview = { added: [], updated: [], conflicts: [], unchanged: [] };
+    
+    incomingPlayers.forEach(incoming => {
+      const current = ImportUtils.findMatch(currentPlayers, incoming);
+      
+      if (!current) {
+        preview.added.push({ incoming, current: null, changes: [] });
+        return;
+      }
+      
+      const changes = ImportUtils.getChanges(current, incoming);
+      const group = changes.length === 0 ? 'unchanged' :
+        changes.some(change => change.conflict) ? 'conflicts' : 'updated';
+      
+      preview[group].push({ incoming, current, changes });
+    });
+    
+    return preview;
+  },
+
+  // Merge an imported competition into the target (the app state). A
+  // conflicting field keeps the current value unless
+  // resolutions[currentPlayerId][field] is 'incoming'. History, matches,
+  // unlocks and custom achievements the target does not have yet are added.
+  // Imported players must have unique Riot IDs (see validate()).
+  merge: (target, source, preview, resolutions = {}) => {
+    const playerIds = {};
+    
+    preview.added.forEach(({ incoming }) => {
+      target.players.push(incoming);
+      playerIds[incoming.id] = incoming.id;
+    });
+    
+    [...preview.updated, ...preview.conflicts, ...preview.unchanged].forEach(({ incoming, current, changes }) => {
+      const choices = resolutions[current.id] || {};
+      
+      changes.forEach(change => {
+        if (change.conflict && choices[change.field] !== 'incoming') return;
+        
+        current[change.field] = change.incoming;
+        if (change.field === 'queues') {
+          current.lastUpdated = incoming.lastUpdated;
+        }
+      });
+      playerIds[incoming.id] = current.id;
+    });
+    
+    Object.entries(playerIds).forEach(([sourceId, targetId]) => {
+      const entries = [...(target.history[targetId] || []), ...(source.history[sourceId] || [])];
+      const byTimestamp = new Map(entries.map(entry => [entry.timestamp, entry]));
+      
+      if (byTimestamp.size > 0) {
+        target.history[targetId] = [...byTimestamp.values()]
+          .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+          .slice(-Math.max(1, target.settings.historyLimit || HistoryUtils.defaultLimit));
+      }
+      
+      const matches = source.matches[sourceId];
+      if (Array.isArray(matches)) {
+        MatchUtils.mergeMatches(target.matches, targetId, matches, target.settings.matchLimit);
+      }
+    });
+    
+    Object.entries(source.achievements).forEach(([achievementId, unlock]) => {
+      if (!target.achievements[achievementId] && unlock && playerIds[unlock.playerId]) {
+        target.achievements[achievementId] = { ...unlock, playerId: playerIds[unlock.playerId] };
+      }
+    });
+    
+    source.customAchievements.forEach(definition => {
+      if (definition && !target.customAchievements.some(existing => existing.id === definition.id)) {
+        target.customAchievements.push(definition);
+      }
+    });
+    
+    return target;
+  }
+};
+
+/**
+ * Activity log of changes to the app state
+ */
+const ActivityUtils = {
+  // Operation types with their log label and icon
+  types: {
+    add: { label: 'Add', icon: '➕' },
+    delete: { label: 'Delete', icon: '🗑️' },
+    edit: { label: 'Edit', icon: '✏️' },
+    update: { label: 'Update from API', icon: '🔄' },
+    import: { label: 'Import', icon: '📥' },
+    settings: { label: 'Settings', icon: '⚙️' },
+    undo: { label: 'Undo', icon: '↩️' },
+    redo: { label: 'Redo', icon: '↪️' }
+  },
+
+  // Entries kept in the log, and operations kept for undo
+  limit: 500,
+  undoLimit: 30,
+
+  // Create a log entry for an operation in a competition
+  createEntry: (type, description, competitionName, timestamp = new Date().toISOString()) => ({
+    id: RandomUtils.generateUUID(),
+    type,
+    description,
+    competitionName,
+    timestamp
+  }),
+
+  // Append an entry to the log, dropping the oldest ones beyond the limit
+  record: (log, entry, limit = ActivityUtils.limit) => {
+    log.push(entry);
+    log.splice(0, Math.max(0, log.length - limit));
+    return log;
+  }
+};
+
+/**
+ * Match utilities
+ */
+const MatchUtils = {
+  // match-v5 queue IDs
+  queueNames: {
+    400: 'Normal Draft',
+    420: 'Ranked Solo/Duo',
+    430: 'Normal Blind',
+    440: 'Ranked Flex',
+    450: 'ARAM',
+    490: 'Quickplay',
+    700: 'Clash',
+    900: 'ARURF',
+    1700: 'Arena'
+  },
+
+  // match-v5 team positions
+  roleNames: {
+    'TOP': 'Top',
+    'JUNGLE': 'Jungle',
+    'MIDDLE': 'Mid',
+    'BOTTOM': 'Bot',
+    'UTILITY': 'Support'
+  },
+
+  // Get queue display name
+  getQueueName: (queueId) => {
+    return MatchUtils.queueNames[queueId] || 'Other';
   },
 
-  // Get player initials for avatar
-  getInitials: (name) => {
-    return name
-      .split(' ')
-      .map(word => word.charAt(0))
-      .join('')
-      .toUpperCase()
-      .slice(0, 2);
+  // Get role display name
+  getRoleName: (role) => {
+    return MatchUtils.roleNames[role] || role || '-';
   },
 
-  // Format win rate
-  formatWinRate: (wins, losses) => {
-    const total = wins + losses;
-    if (total === 0) return '0%';
-    return `${Math.round((wins / total) * 100)}%`;
+  // Format K/D/A
+  formatKda: (kills, deaths, assists) => {
+    return `${kills}/${deaths}/${assists}`;
   },
 
-  // Get win rate color class
-  getWinRateColorClass: (winRate) => {
-    if (winRate >= 70) return 'text-success';
-    if (winRate >= 55) return 'text-primary';
-    if (winRate >= 45) return 'text-warning';
-    return 'text-danger';
+  // Format game duration in seconds as mm:ss
+  formatDuration: (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    const remainder = String(seconds % 60).padStart(2, '0');
+    return `${minutes}:${remainder}`;
   },
 
-  // Validate Riot ID format
-  validateRiotId: (riotId) => {
-    const pattern = /^[^#]+#[^#]+$/;
-    return pattern.test(riotId);
+  // Match ID platform prefixes ("EUW1_123") and their League of Graphs region
+  platformSlugs: {
+    NA1: 'na',
+    EUW1: 'euw',
+    EUN1: 'eune',
+    KR: 'kr',
+    BR1: 'br',
+    LA1: 'lan',
+    LA2: 'las',
+    OC1: 'oce',
+    TR1: 'tr',
+    RU: 'ru',
+    JP1: 'jp'
   },
 
-  // Parse Riot ID
-  parseRiotId: (riotId) => {
-    const [gameName, tagLine] = riotId.split('#');
-    return { gameName, tagLine };
-  }
-};
+  // Link to a match's details page, null for unknown (or simulated) matches
+  getMatchUrl: (matchId) => {
+    const [platform, gameId] = String(matchId || '').split('_');
+    const slug = MatchUtils.platformSlugs[platform];
+    return slug && gameId ? `https://www.leagueofgraphs.com/match/${slug}/${gameId}` : null;
+  },
 
-/**
- * Achievement utilities
- */
-const AchievementUtils = {
-  // Achievement definitions
-  achievements: [
-    {
-      id: 'first_blood',
-      title: 'First Blood',
-      description: 'First to reach Bronze rank',
-      icon: '🥉',
-      condition: (players) => {
-        const bronzePlayers = players.filter(p => RankUtils.tierValues[p.tier] >= 2);
-        return bronzePlayers.length > 0 ? bronzePlayers[0] : null;
-      }
-    },
-    {
-      id: 'silver_surfer',
-      title: 'Silver Surfer',
-      description: 'First to reach Silver rank',
-      icon: '🥈',
-      condition: (players) => {
-        const silverPlayers = players.filter(p => RankUtils.tierValues[p.tier] >= 3);
-        return silverPlayers.length > 0 ? silverPlayers[0] : null;
-      }
-    },
-    {
-      id: 'golden_god',
-      title: 'Golden God',
-      description: 'First to reach Gold rank',
-      icon: '🥇',
-      condition: (players) => {
-        const goldPlayers = players.filter(p => RankUtils.tierValues[p.tier] >= 4);
-        return goldPlayers.length > 0 ? goldPlayers[0] : null;
-      }
-    },
-    {
-      id: 'platinum_prince',
-      title: 'Platinum Prince',
-      description: 'First to reach Platinum rank',
-      icon: '💎',
-      condition: (players) => {
-        const platPlayers = players.filter(p => RankUtils.tierValues[p.tier] >= 5);
-        return platPlayers.length > 0 ? platPlayers[0] : null;
-      }
-    },
-    {
-      id: 'diamond_deity',
-      title: 'Diamond Deity',
-      description: 'First to reach Diamond rank',
-      icon: '💍',
-      condition: (players) => {
-        const diamondPlayers = players.filter(p => RankUtils.tierValues[p.tier] >= 6);
-        return diamondPlayers.length > 0 ? diamondPlayers[0] : null;
-      }
-    },
-    {
-      id: 'win_streak',
-      title: 'Win Streak',
-      description: 'Highest win rate above 70%',
-      icon: '🔥',
-      condition: (players) => {
-        const highWinRatePlayers = players.filter(p => {
-          const total = p.wins + p.losses;
-          return total >= 10 && (p.wins / total) >= 0.7;
-        });
-        
-        if (highWinRatePlayers.length === 0) return null;
-        
-        return highWinRatePlayers.reduce((best, current) => {
-          const currentWinRate = current.wins / (current.wins + current.losses);
-          const bestWinRate = best.wins / (best.wins + best.losses);
-          return currentWinRate > bestWinRate ? current : best;
-        });
-      }
-    },
-    {
-      id: 'grinder',
-      title: 'The Grinder',
-      description: 'Most games played (50+ games)',
-      icon: '⚡',
-      condition: (players) => {
-        const activePlayers = players.filter(p => (p.wins + p.losses) >= 50);
-        if (activePlayers.length === 0) return null;
-        
-        return activePlayers.reduce((most, current) => {
-          const currentGames = current.wins + current.losses;
-          const mostGames = most.wins + most.losses;
-          return currentGames > mostGames ? current : most;
-        });
-      }
-    },
-    {
-      id: 'king_of_hill',
-      title: 'King of the Hill',
-      description: 'Current #1 on leaderboard',
-      icon: '👑',
-      condition: (players) => {
-        if (players.length === 0) return null;
-        
-        const sorted = [...players].sort((a, b) => 
-          PlayerUtils.calculateScore(b) - PlayerUtils.calculateScore(a)
-        );
-        
-        return sorted[0];
-      }
-    },
-    {
-      id: 'consistency',
-      title: 'Mr. Consistent',
-      description: 'Play at least 5 games every week',
-      icon: '📈',
-      condition: (players) => {
-        // This would require tracking game history over time
-        // For now, we'll use a simple metric
-        const consistentPlayers = players.filter(p => {
-          const total = p.wins + p.losses;
-          return total >= 30;
-        });
-        
-        return consistentPlayers.length > 0 ? consistentPlayers[0] : null;
-      }
-    },
-    {
-      id: 'comeback_kid',
-      title: 'Comeback Kid',
-      description: 'Biggest rank improvement',
-      icon: '🚀',
-      condition: (players) => {
-        // This would require tracking rank history
-        // For now, we'll return null
-        return null;
-      }
-    }
-  ],
+  // KDA ratio of a game, deathless games count as one death
+  getKda: (match) => {
+    return (match.kills + match.assists) / Math.max(1, match.deaths);
+  },
 
-  // Check which achievements are earned
-  checkAchievements: (players) => {
-    const earnedAchievements = {};
+  // Latest playedAt of a player's matches in epoch seconds, null without matches
+  getLatestStartTime: (matches = []) => {
+    const latest = Math.max(0, ...matches.map(match => Date.parse(match.playedAt) || 0));
+    return latest > 0 ? Math.floor(latest / 1000) : null;
+  },
+
+  // Games fetched per sync, and stored per player by default
+  syncCount: 5,
+  defaultLimit: 100,
+
+  // IDs of a player's most recent stored matches, the ones a sync may see again
+  getRecentIds: (matches = [], count = MatchUtils.syncCount) => {
+    return matches.slice(-count).map(match => match.matchId);
+  },
+
+  // Add fetched matches to a player's stored ones, skipping match IDs already
+  // stored so a game never counts twice, and dropping the oldest ones beyond
+  // the limit; returns the new ones, oldest first
+  mergeMatches: (store, playerId, matches, limit = MatchUtils.defaultLimit) => {
+    const known = store[playerId] || [];
+    const knownIds = new Set(known.map(match => match.matchId));
+    const added = [];
     
-    AchievementUtils.achievements.forEach(achievement => {
-      const winner = achievement.condition(players);
-      if (winner) {
-        earnedAchievements[achievement.id] = {
-          ...achievement,
-          earnedBy: winner.name,
-          earnedAt: new Date().toISOString()
-        };
+    matches.forEach(match => {
+      if (!knownIds.has(match.matchId)) {
+        knownIds.add(match.matchId);
+        added.push(match);
       }
     });
     
-    return earnedAchievements;
+    added.sort((a, b) => new Date(a.playedAt) - new Date(b.playedAt));
+    store[playerId] = [...known, ...added]
+      .sort((a, b) => new Date(a.playedAt) - new Date(b.playedAt))
+      .slice(-Math.max(1, limit));
+    return added;
+  },
+
+  // Drop the oldest matches of every player beyond the limit
+  trimAll: (store, limit = MatchUtils.defaultLimit) => {
+    Object.keys(store).forEach(playerId => {
+      store[playerId] = store[playerId].slice(-Math.max(1, limit));
+    });
+    return store;
   }
 };
 
@@ -365,6 +1928,42 @@ const DateUtils = {
     return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
   },
 
+  // Local calendar day, e.g. "2025-03-14"
+  getDayKey: (dateString) => {
+    const date = new Date(dateString);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  },
+
+  // Day key of the Monday starting the week
+  getWeekKey: (dateString) => {
+    const date = new Date(dateString);
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return DateUtils.getDayKey(date);
+  },
+
+  // Local calendar month, e.g. "2025-03"
+  getMonthKey: (dateString) => {
+    return DateUtils.getDayKey(dateString).slice(0, 7);
+  },
+
+  // Longest run of consecutive days among day keys
+  getLongestDayStreak: (dayKeys) => {
+    const days = [...new Set(dayKeys)].sort();
+    let longest = 0;
+    let current = 0;
+    
+    days.forEach((day, index) => {
+      const dayBefore = new Date(`${day}T12:00:00`);
+      dayBefore.setDate(dayBefore.getDate() - 1);
+      current = days[index - 1] === DateUtils.getDayKey(dayBefore) ? current + 1 : 1;
+      longest = Math.max(longest, current);
+    });
+    
+    return longest;
+  },
+
   // Check if date is recent (within last hour)
   isRecent: (dateString) => {
     if (!dateString) return false;
@@ -458,7 +2057,7 @@ const ValidationUtils = {
 
   // Validate number range
   validateNumber: (value, min, max, fieldName) => {
-    const num = parseInt(value);
+    const num = parseFloat(value);
     if (isNaN(num)) {
       return `${fieldName} must be a number`;
     }
@@ -513,10 +2112,27 @@ const ValidationUtils = {
  * Export utilities
  */
 const ExportUtils = {
-  // Export data to JSON
-  exportToJson: (data, filename = 'lol-competition-data.json') => {
-    const jsonString = JSON.stringify(data, null, 2);
-    const blob = new Blob([jsonString], { type: 'application/json' });
+  // Field names that hold credentials, never written to or read from files
+  secretKeyPattern: /api[-_]?key|token|secret|password/i,
+
+  // Copy of data without credential fields, at any depth
+  stripSecrets: (data) => {
+    if (Array.isArray(data)) {
+      return data.map(ExportUtils.stripSecrets);
+    }
+    
+    if (!data || typeof data !== 'object' || data instanceof Date) {
+      return data;
+    }
+    
+    return Object.fromEntries(Object.entries(data)
+      .filter(([key]) => !ExportUtils.secretKeyPattern.test(key))
+      .map(([key, value]) => [key, ExportUtils.stripSecrets(value)]));
+  },
+
+  // Download text as a file
+  downloadFile: (content, type, filename) => {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     
     const a = document.createElement('a');
@@ -528,29 +2144,206 @@ const ExportUtils = {
     URL.revokeObjectURL(url);
   },
 
-  // Import data from JSON file
-  importFromJson: (callback) => {
+  // Export data to JSON
+  exportToJson: (data, filename = 'lol-competition-data.json') => {
+    ExportUtils.downloadFile(JSON.stringify(data, null, 2), 'application/json', filename);
+  },
+
+  // Quote a CSV value when it holds a comma, quote or line break
+  escapeCsvValue: (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  },
+
+  // Build CSV text from rows and [{ label, value: row => ... }] columns
+  toCsv: (rows, columns) => {
+    const lines = [
+      columns.map(column => column.label),
+      ...rows.map(row => columns.map(column => column.value(row)))
+    ];
+    return lines.map(line => line.map(ExportUtils.escapeCsvValue).join(',')).join('\r\n');
+  },
+
+  // Export rows to CSV, with a byte order mark so spreadsheets read UTF-8
+  exportToCsv: (rows, columns, filename = 'lol-competition-data.csv') => {
+    ExportUtils.downloadFile(`\ufeff${ExportUtils.toCsv(rows, columns)}`, 'text/csv;charset=utf-8', filename);
+  },
+
+  // Columns of the leaderboard CSV, for players flattened with
+  // PlayerUtils.withQueue plus their position. The roster import reads these
+  // files back.
+  getLeaderboardColumns: (scoreLabel = 'Score') => [
+    { label: 'Position', value: player => player.position },
+    { label: 'Name', value: player => player.name },
+    { label: 'Riot ID', value: player => player.riotId },
+    { label: 'Region', value: player => player.region },
+    { label: 'Tier', value: player => player.tier },
+    { label: 'Division', value: player => player.division },
+    { label: 'LP', value: player => player.lp },
+    { label: 'Wins', value: player => player.wins },
+    { label: 'Losses', value: player => player.losses },
+    { label: 'Win Rate', value: player => PlayerUtils.formatWinRate(player.wins, player.losses) },
+    { label: scoreLabel, value: player => player.score }
+  ],
+
+  // Parse CSV text into rows of values. Tab separated text (pasted from a
+  // spreadsheet) and semicolons (some spreadsheet locales) work too.
+  parseCsv: (text) => {
+    const content = text.replace(/^\ufeff/, '');
+    const firstLine = content.split(/\r?\n/)[0];
+    const delimiter = firstLine.includes('\t') ? '\t' :
+      (firstLine.split(';').length > firstLine.split(',').length ? ';' : ',');
+    
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+    
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+      
+      if (quoted) {
+        if (char === '"' && content[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"' && value === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(value);
+        value = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') i++;
+        row.push(value);
+        rows.push(row);
+        row = [];
+        value = '';
+      } else {
+        value += char;
+      }
+    }
+    row.push(value);
+    rows.push(row);
+    
+    // Drop empty lines
+    return rows
+      .map(cells => cells.map(cell => cell.trim()))
+      .filter(cells => cells.some(cell => cell !== ''));
+  },
+
+  // Roster fields a CSV column can be mapped to, with header names to
+  // recognize them by
+  rosterFields: {
+    name: { label: 'Display Name', headers: ['name', 'display name', 'player', 'nickname'] },
+    riotId: { label: 'Riot ID', required: true, headers: ['riot id', 'riotid', 'riot', 'summoner', 'account'] },
+    region: { label: 'Region', headers: ['region', 'server', 'platform'] },
+    tier: { label: 'Tier', headers: ['tier', 'elo'] },
+    division: { label: 'Division', headers: ['division', 'div'] },
+    lp: { label: 'LP', headers: ['lp', 'league points', 'points'] },
+    wins: { label: 'Wins', headers: ['wins', 'w'] },
+    losses: { label: 'Losses', headers: ['losses', 'l'] }
+  },
+
+  // Column index per roster field from a header row (-1: not in the file)
+  guessRosterMapping: (headers) => {
+    const normalized = headers.map(header => header.toLowerCase().replace(/[_-]/g, ' ').trim());
+    const mapping = {};
+    
+    Object.entries(ExportUtils.rosterFields).forEach(([field, { headers: names }]) => {
+      mapping[field] = normalized.findIndex((header, index) => 
+        names.includes(header) && !Object.values(mapping).includes(index)
+      );
+    });
+    
+    return mapping;
+  },
+
+  // Read one roster row with a column mapping, returns { player } with the
+  // fields addPlayer takes, or { error }
+  parseRosterRow: (row, mapping, defaultRegion) => {
+    const get = (field) => (mapping[field] >= 0 ? row[mapping[field]] || '' : '').trim();
+    const riotId = get('riotId');
+    
+    if (!PlayerUtils.validateRiotId(riotId)) {
+      return { error: riotId ? `Riot ID "${riotId}" must be in format Name#TAG` : 'Riot ID is missing' };
+    }
+    
+    const region = get('region') ? PlayerUtils.parseRegion(get('region')) : defaultRegion;
+    if (!region) {
+      return { error: `Unknown region "${get('region')}"` };
+    }
+    
+    const player = {
+      name: get('name') || PlayerUtils.parseRiotId(riotId).gameName,
+      riotId,
+      region,
+      tier: null
+    };
+    
+    // Tier and division may share a column ("Emerald 2"), an empty or
+    // UNRANKED tier leaves the player unranked
+    if (get('tier') && get('tier').toUpperCase() !== 'UNRANKED') {
+      player.tier = RankUtils.parseTier(get('tier'));
+      if (!player.tier) {
+        return { error: `Unknown tier "${get('tier')}"` };
+      }
+      player.division = RankUtils.isApexTier(player.tier) ? 'I' :
+        RankUtils.parseDivision(get('division'), RankUtils.parseDivision(get('tier'), 'IV'));
+    }
+    
+    for (const field of ['lp', 'wins', 'losses']) {
+      const value = get(field) === '' ? 0 : Number(get(field));
+      if (!Number.isInteger(value) || value < 0) {
+        return { error: `${ExportUtils.rosterFields[field].label} "${get(field)}" must be a whole number of at least 0` };
+      }
+      player[field] = value;
+    }
+    
+    // Apex tiers have uncapped LP
+    if (player.tier && !RankUtils.isApexTier(player.tier) && player.lp > RankUtils.lpPerDivision) {
+      return { error: `LP "${player.lp}" must be at most ${RankUtils.lpPerDivision} below Master` };
+    }
+    
+    return { player };
+  },
+
+  // Read text from a file the user picks
+  readTextFile: (accept, callback) => {
     const input = document.createElement('input');
     input.type = 'file';
-    input.accept = '.json';
+    input.accept = accept;
     
     input.onchange = (event) => {
       const file = event.target.files[0];
       if (!file) return;
       
       const reader = new FileReader();
-      reader.onload = (e) => {
-        try {
-          const data = JSON.parse(e.target.result);
-          callback(null, data);
-        } catch (error) {
-          callback(error, null);
-        }
-      };
+      reader.onload = (e) => callback(null, e.target.result);
+      reader.onerror = () => callback(reader.error, null);
       reader.readAsText(file);
     };
     
     input.click();
+  },
+
+  // Import data from JSON file
+  importFromJson: (callback) => {
+    ExportUtils.readTextFile('.json', (error, text) => {
+      if (error) {
+        callback(error, null);
+        return;
+      }
+      
+      try {
+        callback(null, JSON.parse(text));
+      } catch (parseError) {
+        callback(parseError, null);
+      }
+    });
   }
 };
 
@@ -578,8 +2371,13 @@ const NotificationUtils = {
     NotificationUtils.showNotification(message, 'warning', duration);
   },
 
-  // Show notification
-  showNotification: (message, type = 'info', duration = 3000) => {
+  // Show a success notification offering to undo what just happened
+  showUndo: (message, onUndo, duration = 8000) => {
+    NotificationUtils.showNotification(message, 'success', duration, { label: 'Undo', onClick: onUndo });
+  },
+
+  // Show notification, optionally with an action button ({ label, onClick })
+  showNotification: (message, type = 'info', duration = 3000, action = null) => {
     // Create notification element
     const notification = document.createElement('div');
     notification.className = `notification notification-${type}`;
@@ -587,6 +2385,7 @@ const NotificationUtils = {
       <div class="notification-content">
         <span class="notification-icon">${NotificationUtils.getIcon(type)}</span>
         <span class="notification-message">${message}</span>
+        ${action ? `<button class="notification-action">${action.label}</button>` : ''}
         <button class="notification-close">&times;</button>
       </div>
     `;
@@ -633,6 +2432,21 @@ const NotificationUtils = {
           font-size: var(--font-size-sm);
         }
         
+        .notification-action {
+          background: none;
+          border: 1px solid var(--accent-primary);
+          border-radius: var(--radius-sm);
+          color: var(--accent-primary);
+          font-size: var(--font-size-sm);
+          padding: var(--spacing-xs) var(--spacing-sm);
+          cursor: pointer;
+        }
+        
+        .notification-action:hover {
+          background: var(--accent-primary);
+          color: var(--bg-primary);
+        }
+        
         .notification-close {
           background: none;
           border: none;
@@ -688,6 +2502,13 @@ const NotificationUtils = {
       NotificationUtils.removeNotification(notification);
     });
 
+    if (action) {
+      notification.querySelector('.notification-action').addEventListener('click', () => {
+        NotificationUtils.removeNotification(notification);
+        action.onClick();
+      });
+    }
+
     // Auto remove after duration
     if (duration > 0) {
       setTimeout(() => {
@@ -855,7 +2676,16 @@ if (typeof module !== 'undefined' && module.exports) {
     Storage,
     RankUtils,
     PlayerUtils,
+    ScoringUtils,
+    HandicapUtils,
     AchievementUtils,
+    HistoryUtils,
+    SeasonUtils,
+    CompetitionUtils,
+    MigrationUtils,
+    ImportUtils,
+    ActivityUtils,
+    MatchUtils,
     DateUtils,
     DOMUtils,
     ValidationUtils,